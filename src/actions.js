@@ -0,0 +1,91 @@
+const vscode = require('vscode');
+const { CommentScanner } = require('./comments');
+
+const MARK_DONE_MODES = ['remove', 'done'];
+
+function _toPosition(line, character) {
+  return { line, character };
+}
+
+/**
+ * Range to delete when a TODO is resolved: the whole line (and its
+ * continuation lines) when it holds nothing but the comment, the comment
+ * itself when it trails code, and only the tag and its text when the
+ * comment has other content.
+ */
+function removalRange(lines, item, filePath) {
+  const scanner = new CommentScanner(filePath);
+  let segments = [];
+  for (let i = 0; i <= item.line && i < lines.length; i++) {
+    segments = scanner.scanLine(lines[i]);
+  }
+
+  const line = lines[item.line] || '';
+  const lastLine = Math.min(Math.max(item.endLine || 0, item.line), lines.length - 1);
+  const wholeLine = lastLine + 1 < lines.length
+    ? { start: _toPosition(item.line, 0), end: _toPosition(lastLine + 1, 0) }
+    : { start: _toPosition(item.line, 0), end: _toPosition(lastLine, (lines[lastLine] || '').length) };
+
+  const segment = segments.find(s => item.column >= s.start && item.column <= s.start + s.text.length);
+  if (!segment) {
+    return { start: _toPosition(item.line, item.column), end: _toPosition(item.line, line.length) };
+  }
+
+  const leadsComment = /^[\s*#;!-]*$/.test(segment.text.slice(0, item.column - segment.start));
+  const code = line.slice(0, segment.commentStart) + line.slice(segment.commentEnd);
+
+  if (leadsComment && !segment.partial) {
+    if (code.trim() === '') return wholeLine;
+    const start = line.slice(0, segment.commentStart).trimEnd().length;
+    return { start: _toPosition(item.line, start), end: _toPosition(item.line, segment.commentEnd) };
+  }
+
+  if (leadsComment && segment.commentEnd === line.length && code.trim() === '' &&
+    line.slice(0, segment.start).trim() === '') {
+    return wholeLine;
+  }
+
+  const start = line.slice(0, item.column).trimEnd().length;
+  const end = segment.start + segment.text.trimEnd().length;
+  return { start: _toPosition(item.line, Math.max(start, segment.start)), end: _toPosition(item.line, end) };
+}
+
+function markdownLink(item, relativePath) {
+  const text = item.text ? `${item.tag}: ${item.text}` : item.tag;
+  const target = relativePath.split(/[\\/]/).map(encodeURIComponent).join('/');
+  return `[${text.replace(/([\\[\]])/g, '\\$1')}](${target}#L${item.line + 1})`;
+}
+
+/**
+ * Lightbulb actions for the TODOs on the selected lines. The actions only
+ * carry the location; the commands re-parse the document when they run.
+ */
+class TodoCodeActionProvider {
+  constructor(getItems) {
+    this.getItems = getItems;
+  }
+
+  provideCodeActions(document, range) {
+    const items = this.getItems(document).filter(item =>
+      item.line >= range.start.line && item.line <= range.end.line);
+
+    const actions = [];
+    for (const item of items) {
+      const target = { uri: document.uri, line: item.line, column: item.column };
+      const add = (title, command, kind = vscode.CodeActionKind.QuickFix) => {
+        const action = new vscode.CodeAction(title, kind);
+        action.command = { command, title, arguments: [target] };
+        actions.push(action);
+      };
+      add(`Mark ${item.tag} as done`, 'codeTODO.markDone');
+      add(`Change ${item.tag} to another tag...`, 'codeTODO.changeTag');
+      add(`Copy ${item.tag} as Markdown link`, 'codeTODO.copyMarkdownLink', vscode.CodeActionKind.Empty);
+      add('Reveal in Explorer', 'codeTODO.revealInExplorer', vscode.CodeActionKind.Empty);
+    }
+    return actions;
+  }
+}
+
+TodoCodeActionProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix, vscode.CodeActionKind.Empty];
+
+module.exports = { MARK_DONE_MODES, TodoCodeActionProvider, removalRange, markdownLink };
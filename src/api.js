@@ -0,0 +1,204 @@
+const vscode = require('vscode');
+const path = require('path');
+
+const API_VERSION = 1;
+const CHANGE_DELAY = 50;
+
+/**
+ * @typedef {object} Todo
+ * @property {vscode.Uri} uri
+ * @property {string} tag
+ * @property {string} text
+ * @property {number} line Zero-based, like `vscode.Position`.
+ * @property {number} column
+ * @property {number} endLine Last line of a multi-line TODO.
+ * @property {number} endColumn
+ * @property {string|null} assignee
+ * @property {string|null} priority
+ * @property {string|null} issue
+ * @property {string|null} due `YYYY-MM-DD`.
+ * @property {string|null} author From git blame, once known.
+ * @property {number|null} authorTime Seconds since the epoch.
+ * @property {string} [source] Id of the tag parser that found it.
+ *
+ * @typedef {object} TodoFilter
+ * @property {string[]} [tags]
+ * @property {vscode.Uri} [uri] A file, or a folder to include everything below it.
+ * @property {string} [assignee]
+ * @property {string} [priority]
+ * @property {string} [issue]
+ *
+ * @typedef {object} TodoFileChange
+ * @property {vscode.Uri} uri
+ * @property {Todo[]} todos Every TODO of the file now; empty when it has none left.
+ * @property {Todo[]} added TODOs whose tag and text are new to the file.
+ * @property {Todo[]} removed TODOs whose tag and text are gone from the file.
+ *
+ * @typedef {object} TagParser
+ * @property {string} id
+ * @property {string[]} [tags] Tags it reports, added to the tree and highlights.
+ * @property {string[]} [include] Globs of the files it runs on, relative to the workspace folder.
+ * @property {(content: string, filePath: string) => Array<{tag: string, text?: string, line: number, column?: number, endColumn?: number}>} parse
+ */
+
+function toTodo(filePath, item) {
+  const todo = {
+    uri: vscode.Uri.file(filePath),
+    tag: item.tag,
+    text: item.text,
+    line: item.line,
+    column: item.column,
+    endLine: item.endLine ?? item.line,
+    endColumn: item.endColumn,
+    assignee: item.assignee || null,
+    priority: item.priority || null,
+    issue: item.issue || null,
+    due: item.due || null,
+    author: item.author || null,
+    authorTime: item.authorTime || null,
+  };
+  if (item.source) todo.source = item.source;
+  return Object.freeze(todo);
+}
+
+function _matches(item, filter) {
+  if (filter.tags && !filter.tags.includes(item.tag)) return false;
+  if (filter.assignee !== undefined && item.assignee !== filter.assignee) return false;
+  if (filter.priority !== undefined && item.priority !== filter.priority) return false;
+  if (filter.issue !== undefined && item.issue !== filter.issue) return false;
+  return true;
+}
+
+// Items of `from` whose tag and text do not appear (as often) in `to`.
+function _missing(from, to) {
+  const counts = new Map();
+  for (const item of to) {
+    const key = `${item.tag}\0${item.text}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return from.filter(item => {
+    const key = `${item.tag}\0${item.text}`;
+    const count = counts.get(key) || 0;
+    if (count > 0) counts.set(key, count - 1);
+    return count === 0;
+  });
+}
+
+function normalizeTagParser(tagParser) {
+  if (!tagParser || typeof tagParser.parse !== 'function') {
+    throw new TypeError('A tag parser needs a parse(content, filePath) function');
+  }
+  if (typeof tagParser.id !== 'string' || !tagParser.id) {
+    throw new TypeError('A tag parser needs an id');
+  }
+  const strings = value => (Array.isArray(value) ? value.filter(entry => typeof entry === 'string' && entry) : []);
+  const include = strings(tagParser.include);
+  return {
+    id: tagParser.id,
+    tags: strings(tagParser.tags),
+    include: include.length > 0 ? include : null,
+    parse: tagParser.parse,
+  };
+}
+
+/**
+ * The API other extensions get from
+ * `vscode.extensions.getExtension('JamacioRocha.code-todo').exports.getAPI(1)`.
+ * It only hands out copies, so callers cannot change the scan results, and
+ * `onDidChangeTodos` batches the file changes of a scan into few events.
+ */
+class TodoApi {
+  constructor(provider) {
+    this.provider = provider;
+    this._onDidChangeTodos = new vscode.EventEmitter();
+    this._snapshot = new Map();
+    this._pending = new Set();
+    this._forced = new Set();
+    this._all = false;
+    this._timer = null;
+
+    this.api = Object.freeze({
+      version: API_VERSION,
+      /** @type {(filter?: TodoFilter) => Todo[]} */
+      getTodos: filter => this.getTodos(filter),
+      /** @type {() => {total: number, byTag: Object<string, number>}} */
+      getTotals: () => this.getTotals(),
+      /** @type {vscode.Event<{changes: TodoFileChange[]}>} */
+      onDidChangeTodos: this._onDidChangeTodos.event,
+      /** @type {() => Promise<void>} */
+      rescan: () => this.provider.startScan(),
+      /** @type {(tagParser: TagParser) => vscode.Disposable} */
+      registerTagParser: tagParser => this.provider.registerTagParser(normalizeTagParser(tagParser)),
+    });
+  }
+
+  getAPI(version) {
+    if (version !== API_VERSION) {
+      throw new Error(`Code TODO API version ${version} is not available; the supported version is ${API_VERSION}`);
+    }
+    return this.api;
+  }
+
+  getTodos(filter = {}) {
+    const base = filter.uri ? filter.uri.fsPath : null;
+    const filePaths = [...this.provider.fileMap.keys()]
+      .filter(filePath => !base || filePath === base || filePath.startsWith(base + path.sep))
+      .sort();
+    const todos = [];
+    for (const filePath of filePaths) {
+      for (const item of this.provider.fileMap.get(filePath)) {
+        if (_matches(item, filter)) todos.push(toTodo(filePath, item));
+      }
+    }
+    return todos;
+  }
+
+  getTotals() {
+    return { total: this.provider.totalTodos, byTag: { ...this.provider.totalsByTag } };
+  }
+
+  /**
+   * Queues an event for `filePath`, or for every file when it is omitted
+   * (after a cache load, a full scan or a reset). `force` reports the file
+   * even if its items look the same, such as after git blame filled them in.
+   */
+  changed(filePath, force = false) {
+    if (filePath === undefined) this._all = true;
+    else this._pending.add(filePath);
+    if (force) this._forced.add(filePath);
+    if (!this._timer) this._timer = setTimeout(() => this._flush(), CHANGE_DELAY);
+  }
+
+  _flush() {
+    this._timer = null;
+    const fileMap = this.provider.fileMap;
+    const filePaths = this._all ? new Set([...this._snapshot.keys(), ...fileMap.keys(), ...this._forced]) : this._pending;
+    const forced = this._forced;
+    this._all = false;
+    this._pending = new Set();
+    this._forced = new Set();
+
+    const changes = [];
+    for (const filePath of filePaths) {
+      const before = this._snapshot.get(filePath) || [];
+      const after = fileMap.get(filePath) || [];
+      if (!forced.has(filePath) && (before === after || !this.provider._itemsChanged(before, after))) continue;
+      if (after.length > 0) this._snapshot.set(filePath, after);
+      else this._snapshot.delete(filePath);
+      changes.push({
+        uri: vscode.Uri.file(filePath),
+        todos: after.map(item => toTodo(filePath, item)),
+        added: _missing(after, before).map(item => toTodo(filePath, item)),
+        removed: _missing(before, after).map(item => toTodo(filePath, item)),
+      });
+    }
+    if (changes.length > 0) this._onDidChangeTodos.fire({ changes });
+  }
+
+  dispose() {
+    if (this._timer) clearTimeout(this._timer);
+    this._onDidChangeTodos.dispose();
+  }
+}
+
+module.exports = { API_VERSION, TodoApi, normalizeTagParser, toTodo };
@@ -0,0 +1,122 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+const UNCOMMITTED_SHA = /^0{40}$/;
+const MONTH_SECONDS = 30 * 24 * 60 * 60;
+
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024, windowsHide: true }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Parses `git blame --porcelain` output into a Map of zero-based line
+ * number to `{ author, authorTime, uncommitted }`.
+ */
+function parsePorcelain(output) {
+  const lines = output.split('\n');
+  const commits = new Map();
+  const result = new Map();
+  let commit = null;
+  let finalLine = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('\t')) {
+      if (commit) result.set(finalLine - 1, commit);
+      continue;
+    }
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+    if (header) {
+      const sha = header[1];
+      finalLine = Number(header[2]);
+      commit = commits.get(sha);
+      if (!commit) {
+        commit = { author: null, authorTime: null, uncommitted: UNCOMMITTED_SHA.test(sha) };
+        commits.set(sha, commit);
+      }
+    } else if (commit && line.startsWith('author ')) {
+      commit.author = line.slice(7);
+    } else if (commit && line.startsWith('author-time ')) {
+      commit.authorTime = Number(line.slice(12));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the author and date of TODO lines through the local `git`
+ * binary. Everything degrades to "no blame" when git is missing or the
+ * file is not inside a repository.
+ */
+class BlameService {
+  constructor() {
+    this.available = true;
+    this._heads = new Map();
+  }
+
+  resetHeads() {
+    this._heads.clear();
+  }
+
+  async getHead(filePath) {
+    if (!this.available) return null;
+    const dir = path.dirname(filePath);
+    if (!this._heads.has(dir)) {
+      this._heads.set(dir, runGit(['rev-parse', 'HEAD'], dir)
+        .then(out => out.trim())
+        .catch(error => {
+          this._handleError(error);
+          return null;
+        }));
+    }
+    return this._heads.get(dir);
+  }
+
+  async blameLines(filePath, lineNumbers) {
+    if (!this.available || lineNumbers.length === 0) return null;
+    const args = ['blame', '--porcelain'];
+    const unique = [...new Set(lineNumbers)];
+    for (let i = 0; i < unique.length; i++) {
+      args.push('-L', `${unique[i] + 1},${unique[i] + 1}`);
+    }
+    args.push('--', path.basename(filePath));
+
+    try {
+      return parsePorcelain(await runGit(args, path.dirname(filePath)));
+    } catch (error) {
+      this._handleError(error);
+      return null;
+    }
+  }
+
+  _handleError(error) {
+    if (error.code === 'ENOENT') this.available = false;
+  }
+}
+
+function formatAge(authorTime, now = Date.now() / 1000) {
+  const seconds = Math.max(0, now - authorTime);
+  const units = [
+    [2 * 365 * 24 * 60 * 60, 'year', 365 * 24 * 60 * 60],
+    [MONTH_SECONDS, 'month'],
+    [7 * 24 * 60 * 60, 'week'],
+    [24 * 60 * 60, 'day'],
+    [60 * 60, 'hour'],
+    [60, 'minute'],
+  ];
+  for (let i = 0; i < units.length; i++) {
+    const [threshold, unit, size = threshold] = units[i];
+    if (seconds < threshold) continue;
+    const value = Math.floor(seconds / size);
+    return `${value} ${unit}${value > 1 ? 's' : ''} ago`;
+  }
+  return 'just now';
+}
+
+module.exports = { BlameService, parsePorcelain, formatAge, runGit, MONTH_SECONDS };
@@ -0,0 +1,88 @@
+const path = require('path');
+const { runGit } = require('./blame');
+
+function _unquote(gitPath) {
+  if (!gitPath.startsWith('"')) return gitPath;
+  return gitPath.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+}
+
+/**
+ * Reads `git diff --unified=0` output into `files`: absolute path to the
+ * Set of zero-based line numbers that were added or changed.
+ */
+function parseDiff(output, topLevel, files = new Map()) {
+  const lines = output.split('\n');
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('+++ ')) {
+      const target = _unquote(line.slice(4).replace(/\t$/, ''));
+      current = target === '/dev/null' ? null : path.join(topLevel, target.replace(/^b\//, ''));
+      if (current && !files.has(current)) files.set(current, new Set());
+      continue;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && current) {
+      const start = Number(hunk[1]) - 1;
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      const changed = files.get(current);
+      for (let n = 0; n < count; n++) changed.add(start + n);
+    }
+  }
+  return files;
+}
+
+/**
+ * The lines that differ between the working tree (including uncommitted
+ * and untracked files) and the merge base of a base ref, so the tree can
+ * show only the TODOs a branch introduces.
+ */
+class BranchDiff {
+  constructor(baseRef) {
+    this.baseRef = baseRef;
+    this.files = new Map();
+  }
+
+  has(filePath, line) {
+    if (!this.files.has(filePath)) return false;
+    const lines = this.files.get(filePath);
+    return lines === null || lines.has(line);
+  }
+
+  static async load(folderPaths, baseRef) {
+    const diff = new BranchDiff(baseRef);
+    const topLevels = new Set();
+    for (const folderPath of folderPaths) {
+      let topLevel;
+      try {
+        topLevel = path.resolve((await runGit(['rev-parse', '--show-toplevel'], folderPath)).trim());
+      } catch {
+        continue;
+      }
+      if (topLevels.has(topLevel)) continue;
+      topLevels.add(topLevel);
+
+      let mergeBase;
+      try {
+        mergeBase = (await runGit(['merge-base', baseRef, 'HEAD'], topLevel)).trim();
+      } catch {
+        throw new Error(`Cannot find the merge base of "${baseRef}" in ${path.basename(topLevel)}`);
+      }
+
+      const output = await runGit([
+        '-c', 'core.quotePath=false', 'diff', '--unified=0', '--no-color', '--no-ext-diff',
+        '--src-prefix=a/', '--dst-prefix=b/', mergeBase, '--'
+      ], topLevel);
+      parseDiff(output, topLevel, diff.files);
+
+      const untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], topLevel);
+      for (const file of untracked.split('\0')) {
+        if (file) diff.files.set(path.join(topLevel, file), null);
+      }
+    }
+    return diff;
+  }
+}
+
+module.exports = { BranchDiff, parseDiff };
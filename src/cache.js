@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FORMAT = 1;
+const SHARD_COUNT = 64;
+const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+const MANIFEST = 'manifest.json';
+
+// Upgrades an entry written in format `n` to format `n + 1`.
+const MIGRATIONS = {};
+
+function shardOf(filePath) {
+  return crypto.createHash('sha1').update(filePath).digest().readUInt16BE(0) % SHARD_COUNT;
+}
+
+function _shardFile(index) {
+  return `shard-${String(index).padStart(2, '0')}.json`;
+}
+
+function migrateEntry(entry, from, to = CACHE_FORMAT) {
+  for (let format = from; format < to; format++) {
+    if (!MIGRATIONS[format]) return null;
+    entry = MIGRATIONS[format](entry);
+    if (!entry) return null;
+  }
+  return entry;
+}
+
+async function _writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Scan results of one workspace, keyed by file path and stored as JSON
+ * shards in the workspace storage folder, so a save only rewrites the
+ * shards that changed. `version` identifies the scanner output: entries
+ * written by another version keep their items for a fast first paint but
+ * lose their mtime, so the next scan parses those files again.
+ */
+class TodoCache {
+  constructor(dir, { version = 0, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.dir = dir;
+    this.version = version;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.dirty = new Set();
+    this.shardBytes = new Array(SHARD_COUNT).fill(0);
+    this._saving = Promise.resolve();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(filePath) {
+    return this.entries.get(filePath);
+  }
+
+  has(filePath) {
+    return this.entries.has(filePath);
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  set(filePath, entry) {
+    this.entries.set(filePath, entry);
+    this.dirty.add(shardOf(filePath));
+    return this;
+  }
+
+  touch(filePath) {
+    if (this.entries.has(filePath)) this.dirty.add(shardOf(filePath));
+  }
+
+  delete(filePath) {
+    if (!this.entries.delete(filePath)) return false;
+    this.dirty.add(shardOf(filePath));
+    return true;
+  }
+
+  clear() {
+    for (const filePath of this.entries.keys()) this.dirty.add(shardOf(filePath));
+    this.entries.clear();
+  }
+
+  /**
+   * Adds entries from another source (such as the old globalState blob)
+   * that were produced by scanner `version`.
+   */
+  import(entries, version) {
+    for (const [filePath, entry] of entries) {
+      if (!entry || !Array.isArray(entry.items) || this.entries.has(filePath)) continue;
+      this.set(filePath, version === this.version ? entry : { ...entry, mtime: null });
+    }
+  }
+
+  async load() {
+    if (!this.dir) return false;
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(this.dir, MANIFEST), 'utf8'));
+    } catch {
+      return false;
+    }
+
+    const format = manifest.format;
+    if (typeof format !== 'number' || format > CACHE_FORMAT) {
+      await this._reset();
+      return false;
+    }
+    const stale = manifest.version !== this.version;
+
+    await Promise.all(Array.from({ length: SHARD_COUNT }, async (_, index) => {
+      let data;
+      try {
+        data = await fs.readFile(path.join(this.dir, _shardFile(index)), 'utf8');
+      } catch {
+        return;
+      }
+      this.shardBytes[index] = Buffer.byteLength(data);
+      let shard;
+      try {
+        shard = JSON.parse(data);
+      } catch {
+        this.dirty.add(index);
+        return;
+      }
+      for (const filePath of Object.keys(shard)) {
+        let entry = migrateEntry(shard[filePath], format);
+        if (!entry || !Array.isArray(entry.items)) continue;
+        if (stale) entry = { ...entry, mtime: null };
+        this.entries.set(filePath, entry);
+      }
+      if (format !== CACHE_FORMAT || stale) this.dirty.add(index);
+    }));
+    return true;
+  }
+
+  save() {
+    this._saving = this._saving.then(() => this._save(), () => this._save());
+    return this._saving;
+  }
+
+  async _save() {
+    if (!this.dir || this.dirty.size === 0) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    await this._writeDirty();
+    if (this._totalBytes() > this.maxBytes) {
+      this._evict(this._totalBytes() - this.maxBytes * 0.8);
+      await this._writeDirty();
+    }
+  }
+
+  async _writeDirty() {
+    const dirty = [...this.dirty];
+    this.dirty.clear();
+    const shards = new Map(dirty.map(index => [index, {}]));
+    for (const [filePath, entry] of this.entries) {
+      const shard = shards.get(shardOf(filePath));
+      if (shard) shard[filePath] = entry;
+    }
+
+    try {
+      await Promise.all(dirty.map(async index => {
+        const file = path.join(this.dir, _shardFile(index));
+        const shard = shards.get(index);
+        if (Object.keys(shard).length === 0) {
+          this.shardBytes[index] = 0;
+          await fs.rm(file, { force: true });
+          return;
+        }
+        const data = JSON.stringify(shard);
+        this.shardBytes[index] = Buffer.byteLength(data);
+        await _writeAtomic(file, data);
+      }));
+      await _writeAtomic(path.join(this.dir, MANIFEST),
+        JSON.stringify({ format: CACHE_FORMAT, version: this.version }));
+    } catch (error) {
+      for (const index of dirty) this.dirty.add(index);
+      throw error;
+    }
+  }
+
+  _totalBytes() {
+    return this.shardBytes.reduce((sum, bytes) => sum + bytes, 0);
+  }
+
+  // Drops the entries of the least recently modified files first; they
+  // are parsed again by the next scan.
+  _evict(bytes) {
+    const byAge = [...this.entries].sort((a, b) => (a[1].mtime || 0) - (b[1].mtime || 0));
+    for (const [filePath, entry] of byAge) {
+      if (bytes <= 0) break;
+      bytes -= Buffer.byteLength(JSON.stringify(entry)) + Buffer.byteLength(filePath);
+      this.delete(filePath);
+    }
+  }
+
+  async _reset() {
+    this.entries.clear();
+    this.dirty.clear();
+    this.shardBytes.fill(0);
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { CACHE_FORMAT, SHARD_COUNT, TodoCache, migrateEntry, shardOf };
@@ -0,0 +1,350 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { matchAny } = require('./glob');
+const { IGNORE_FILES, IgnoreRules, enabledGlobs } = require('./ignore');
+const { languageEncodings } = require('./encoding');
+const { collectReportItems, renderReport } = require('./report');
+const {
+  DEFAULT_INCLUDES,
+  DEFAULT_EXCLUDES,
+  DEFAULT_TAGS,
+  DEFAULT_MAX_FILE_SIZE,
+  TodoParser,
+  shouldProcessFile,
+} = require('./scanner');
+
+const BASELINE_VERSION = 1;
+const OUTPUT_FORMATS = ['text', 'json', 'csv', 'markdown', 'sarif'];
+
+const USAGE = `Usage: code-todo [folder...] [options]
+
+Scans folders (default: the current directory) for TODO comments using the
+same rules as the Code TODO extension.
+
+Options:
+  --format <format>       text, json, csv, markdown or sarif (default: text)
+  --output <file>         Write the report to a file instead of stdout
+  --tags <list>           Comma-separated tags (default: codeTODO.tags or built-in tags)
+  --include <glob>        Only scan matching files; repeatable, replaces codeTODO.include
+  --exclude <glob>        Skip matching files; repeatable, added to codeTODO.exclude
+  --baseline <file>       Fail when TODOs appear that are not in the baseline
+  --update-baseline       Write the current TODOs to the baseline file
+  --budget <TAG<=N>       Fail when a tag has more than N items; repeatable,
+                          comma-separated lists are accepted (BUG<=0,HACK<=20)
+  --quiet                 Only print failures
+  -h, --help              Show this help
+`;
+
+class UsageError extends Error { }
+
+function parseArgs(argv) {
+  const options = {
+    folders: [],
+    format: 'text',
+    output: null,
+    tags: null,
+    include: [],
+    exclude: [],
+    baseline: null,
+    updateBaseline: false,
+    budgets: [],
+    quiet: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '-h':
+      case '--help': options.help = true; break;
+      case '--format': options.format = value(); break;
+      case '--output': options.output = value(); break;
+      case '--tags': options.tags = value().split(',').map(t => t.trim()).filter(Boolean); break;
+      case '--include': options.include.push(value()); break;
+      case '--exclude': options.exclude.push(value()); break;
+      case '--baseline': options.baseline = value(); break;
+      case '--update-baseline': options.updateBaseline = true; break;
+      case '--budget': options.budgets.push(...parseBudgets(value())); break;
+      case '--quiet': options.quiet = true; break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+        options.folders.push(arg);
+    }
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new UsageError(`Unknown format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options.updateBaseline && !options.baseline) {
+    throw new UsageError('--update-baseline requires --baseline <file>');
+  }
+  if (options.folders.length === 0) options.folders.push('.');
+  return options;
+}
+
+function parseBudgets(spec) {
+  return spec.split(',').filter(part => part.trim()).map(part => {
+    const match = /^\s*([^<=\s]+)\s*<=\s*(\d+)\s*$/.exec(part);
+    if (!match) throw new UsageError(`Invalid budget "${part}". Expected TAG<=N`);
+    return { tag: match[1].toUpperCase(), max: Number(match[2]) };
+  });
+}
+
+function stripJsonComments(text) {
+  let out = '';
+  let quote = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      out += ch;
+      if (ch === '\\') out += text[++i] || '';
+      else if (ch === '"') quote = false;
+    } else if (ch === '"') {
+      quote = true;
+      out += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+  return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Reads the `codeTODO.*` settings from a folder's `.vscode/settings.json`
+ * so the command line honors the same configuration as the editor.
+ */
+async function readFolderSettings(folderPath) {
+  try {
+    const text = await fs.readFile(path.join(folderPath, '.vscode', 'settings.json'), 'utf8');
+    return _scanSettings(JSON.parse(stripJsonComments(text)));
+  } catch {
+    return _scanSettings({});
+  }
+}
+
+function _scanSettings(settings) {
+  const tags = settings['codeTODO.tags'];
+  const include = settings['codeTODO.include'];
+  const exclude = settings['codeTODO.exclude'];
+  const maxFileSize = settings['codeTODO.maxFileSize'];
+  const issueKeys = settings['codeTODO.issueKeys'];
+  const encoding = typeof settings['files.encoding'] === 'string' ? settings['files.encoding'] : 'utf8';
+  return {
+    tags: Array.isArray(tags) && tags.length > 0 ? tags : null,
+    include: Array.isArray(include) && include.length > 0 ? include : DEFAULT_INCLUDES,
+    exclude: Array.isArray(exclude) ? exclude : DEFAULT_EXCLUDES,
+    maxFileSize: typeof maxFileSize === 'number' ? maxFileSize : DEFAULT_MAX_FILE_SIZE,
+    caseSensitive: settings['codeTODO.caseSensitive'] !== false,
+    requireColon: settings['codeTODO.requireColon'] === true,
+    issueKeys: Array.isArray(issueKeys) ? issueKeys : [],
+    gitignore: settings['codeTODO.ignore.gitignore'] !== false,
+    encoding,
+    encodingByExtension: languageEncodings(encoding, languageId => (settings[`[${languageId}]`] || {})['files.encoding']),
+    ignoreGlobs: settings['codeTODO.ignore.excludeSettings'] === false ? [] : [
+      ...enabledGlobs(settings['files.exclude']),
+      ...enabledGlobs(settings['search.exclude']),
+    ],
+  };
+}
+
+async function collectFiles(root) {
+  const files = [];
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      if (!entry.isFile() || !IGNORE_FILES.includes(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      try {
+        root.ignore.setFile(path.relative(root.path, fullPath), await fs.readFile(fullPath, 'utf8'));
+      } catch {
+        // Unreadable ignore files are skipped like git does.
+      }
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(root.path, fullPath);
+      if (entry.isDirectory()) {
+        if (!matchAny(`${relativePath}/`, root.exclude) && !root.ignore.ignores(relativePath, true)) await walk(fullPath);
+      } else if (entry.isFile() &&
+        shouldProcessFile(fullPath) &&
+        matchAny(relativePath, root.include) &&
+        !matchAny(relativePath, root.exclude) &&
+        !root.ignore.ignores(relativePath)) {
+        files.push(fullPath);
+      }
+    }
+  };
+  await walk(root.path);
+  return files;
+}
+
+async function scan(options, stderr = process.stderr) {
+  const roots = [];
+  const tags = [];
+  for (const folder of options.folders) {
+    const folderPath = path.resolve(folder);
+    const settings = await readFolderSettings(folderPath);
+    const rootTags = options.tags || settings.tags || DEFAULT_TAGS;
+    for (const tag of rootTags) {
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    roots.push({
+      name: path.basename(folderPath),
+      path: folderPath,
+      include: options.include.length > 0 ? options.include : settings.include,
+      exclude: [...settings.exclude, ...options.exclude],
+      maxFileSize: settings.maxFileSize,
+      parser: new TodoParser(rootTags, settings),
+      ignore: new IgnoreRules({
+        globs: settings.ignoreGlobs,
+        fileNames: settings.gitignore ? IGNORE_FILES : ['.todoignore'],
+      }),
+    });
+  }
+
+  const fileMap = new Map();
+  const suppressed = [];
+
+  for (const root of roots) {
+    const files = await collectFiles(root);
+    for (const filePath of files) {
+      if (fileMap.has(filePath)) continue;
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.size > root.maxFileSize) continue;
+        const items = await root.parser.parseFile(filePath, suppressed);
+        if (items.length > 0) fileMap.set(filePath, items);
+      } catch (error) {
+        // Deleted since it was listed, or unreadable: skip it, not the run.
+        stderr.write(`code-todo: skipping ${path.relative(process.cwd(), filePath)}: ${error.message}\n`);
+      }
+    }
+  }
+
+  return { roots, tags, rows: collectReportItems(fileMap, roots), suppressed: suppressed.length };
+}
+
+function _baselineKey(row) {
+  return `${row.tag}\0${row.file}\0${row.text}`;
+}
+
+function toBaseline(rows) {
+  return {
+    version: BASELINE_VERSION,
+    items: rows.map(row => ({ tag: row.tag, file: row.file, line: row.line, text: row.text })),
+  };
+}
+
+/**
+ * Returns the rows that are not covered by the baseline. Items are matched
+ * on tag, file and text (not line), so moving code around does not count
+ * as a new TODO.
+ */
+function diffAgainstBaseline(rows, baseline) {
+  const remaining = new Map();
+  for (const item of baseline.items || []) {
+    const key = _baselineKey(item);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  const added = [];
+  for (const row of rows) {
+    const key = _baselineKey(row);
+    const count = remaining.get(key) || 0;
+    if (count > 0) remaining.set(key, count - 1);
+    else added.push(row);
+  }
+  return added;
+}
+
+function checkBudgets(rows, budgets) {
+  const totals = {};
+  for (const row of rows) totals[row.tag] = (totals[row.tag] || 0) + 1;
+  return budgets
+    .filter(budget => (totals[budget.tag] || 0) > budget.max)
+    .map(budget => ({ ...budget, count: totals[budget.tag] }));
+}
+
+function formatText(rows, tags, suppressed = 0) {
+  const lines = rows.map(row => `${row.file}:${row.line}:${row.column}  ${row.tag}  ${row.text}`);
+  const totals = {};
+  for (const row of rows) totals[row.tag] = (totals[row.tag] || 0) + 1;
+  const summary = tags.filter(tag => totals[tag]).map(tag => `${tag}: ${totals[tag]}`);
+  lines.push(`${rows.length} TODO${rows.length === 1 ? '' : 's'}${summary.length ? ` (${summary.join(', ')})` : ''}` +
+    (suppressed > 0 ? `, ${suppressed} suppressed` : ''));
+  return lines.join('\n') + '\n';
+}
+
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`code-todo: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  const { roots, tags, rows, suppressed } = await scan(options, io.stderr);
+  const report = options.format === 'text'
+    ? formatText(rows, tags, suppressed)
+    : renderReport(options.format, rows, tags, roots);
+
+  if (options.output) {
+    await fs.writeFile(options.output, report);
+  } else if (!options.quiet) {
+    io.stdout.write(report);
+  }
+
+  let failed = false;
+
+  if (options.baseline) {
+    if (options.updateBaseline) {
+      await fs.writeFile(options.baseline, JSON.stringify(toBaseline(rows), null, 2) + '\n');
+      if (!options.quiet) io.stderr.write(`code-todo: baseline written to ${options.baseline} (${rows.length} items)\n`);
+    } else {
+      let baseline;
+      try {
+        baseline = JSON.parse(await fs.readFile(options.baseline, 'utf8'));
+      } catch (error) {
+        io.stderr.write(`code-todo: cannot read baseline ${options.baseline}: ${error.message}\n`);
+        return 2;
+      }
+      const added = diffAgainstBaseline(rows, baseline);
+      if (added.length > 0) {
+        failed = true;
+        io.stderr.write(`code-todo: ${added.length} new TODO${added.length === 1 ? '' : 's'} not in the baseline:\n`);
+        for (const row of added) io.stderr.write(`  ${row.file}:${row.line}  ${row.tag}  ${row.text}\n`);
+      }
+    }
+  }
+
+  for (const budget of checkBudgets(rows, options.budgets)) {
+    failed = true;
+    io.stderr.write(`code-todo: ${budget.tag} budget exceeded: ${budget.count} > ${budget.max}\n`);
+  }
+
+  return failed ? 1 : 0;
+}
+
+module.exports = { main, parseArgs, parseBudgets, scan, diffAgainstBaseline, checkBudgets, toBaseline };
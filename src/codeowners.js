@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp, toPosixPath } = require('./glob');
+
+// Where GitHub looks for the file, in order; the first one found is used.
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Parses a CODEOWNERS file into rules of a pattern and its owners. A
+ * pattern without owners is kept: it clears the owners of earlier rules.
+ */
+function parseCodeowners(content) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const tokens = line.match(/(?:\\.|\S)+/g);
+    let pattern = tokens[0].replace(/\\(.)/g, '$1');
+    const owners = [];
+    for (let i = 1; i < tokens.length && !tokens[i].startsWith('#'); i++) owners.push(tokens[i]);
+
+    let directoryOnly = false;
+    if (pattern.endsWith('/')) {
+      directoryOnly = true;
+      pattern = pattern.slice(0, -1);
+    }
+    if (!pattern) continue;
+
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    const glob = pattern.replace(/[{},]/g, '\\$&');
+    rules.push({
+      owners,
+      directoryOnly,
+      // `docs/*` owns the files directly in docs, not the ones in its subfolders.
+      contents: !pattern.endsWith('/*'),
+      regex: globToRegExp(anchored ? glob : `**/${glob}`),
+    });
+  }
+  return rules;
+}
+
+function _normalizeHandle(handle) {
+  const trimmed = String(handle || '').trim().toLowerCase();
+  return !trimmed || trimmed.startsWith('@') || trimmed.includes('@') ? trimmed : `@${trimmed}`;
+}
+
+/**
+ * Whether `handle` (a user, `org/team` or email, with or without the
+ * leading `@`) is one of `owners`. GitHub handles are case-insensitive.
+ */
+function isOwner(owners, handle) {
+  const wanted = _normalizeHandle(handle);
+  return !!wanted && owners.some(owner => owner.toLowerCase() === wanted);
+}
+
+/**
+ * The owners of the files in one folder according to its CODEOWNERS
+ * file. As on GitHub, the last matching rule wins.
+ */
+class CodeOwners {
+  constructor(rules = [], file = null) {
+    this.rules = rules;
+    this.file = file;
+    this._byPath = new Map();
+  }
+
+  ownersOf(relativePath) {
+    const posixPath = toPosixPath(relativePath);
+    let owners = this._byPath.get(posixPath);
+    if (owners) return owners;
+
+    owners = [];
+    const parts = posixPath.split('/').filter(Boolean);
+    for (let r = this.rules.length - 1; r >= 0; r--) {
+      if (this._matches(this.rules[r], parts)) {
+        owners = this.rules[r].owners;
+        break;
+      }
+    }
+    this._byPath.set(posixPath, owners);
+    return owners;
+  }
+
+  _matches(rule, parts) {
+    if (!rule.directoryOnly && rule.regex.test(parts.join('/'))) return true;
+    if (!rule.contents && !rule.directoryOnly) return false;
+    for (let i = parts.length - 1; i >= 1; i--) {
+      if (rule.regex.test(parts.slice(0, i).join('/'))) return true;
+    }
+    return false;
+  }
+
+  static async load(folderPath) {
+    for (const candidate of CODEOWNERS_PATHS) {
+      const file = path.join(folderPath, candidate);
+      let content;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch {
+        continue;
+      }
+      return new CodeOwners(parseCodeowners(content), file);
+    }
+    return new CodeOwners();
+  }
+}
+
+module.exports = { CODEOWNERS_PATHS, CodeOwners, isOwner, parseCodeowners };
@@ -0,0 +1,270 @@
+const path = require('path');
+
+const C_STRINGS = ['"', "'"];
+const JS_STRINGS = ['"', "'", '`'];
+
+const C_LINE = { open: '//' };
+const C_BLOCK = { open: '/*', close: '*/' };
+const HASH_LINE = { open: '#' };
+const SPACED_HASH_LINE = { open: '#', spaced: true };
+const HTML_BLOCK = { open: '<!--', close: '-->' };
+const SEMI_LINE = { open: ';' };
+
+const C_STYLE = { line: [C_LINE], block: [C_BLOCK], strings: C_STRINGS };
+const JS_STYLE = { line: [C_LINE], block: [C_BLOCK], strings: JS_STRINGS, multilineStrings: ['`'], regex: true };
+// An unquoted `url(...)` is skipped like a string, so the `//` of
+// `url(http://...)` does not start a comment.
+const CSS_STYLE = { line: [], block: [C_BLOCK], strings: C_STRINGS, urls: true };
+const SCSS_STYLE = { line: [C_LINE], block: [C_BLOCK], strings: C_STRINGS, urls: true };
+const MARKUP_STYLE = { line: [], block: [HTML_BLOCK], strings: [] };
+// Script and style elements switch to the syntax of their content until
+// the closing tag.
+const HTML_STYLE = {
+  ...MARKUP_STYLE,
+  regions: [
+    { open: '<script', close: '</script', syntax: JS_STYLE },
+    { open: '<style', close: '</style', syntax: CSS_STYLE },
+  ],
+};
+const SHELL_STYLE = { line: [SPACED_HASH_LINE], block: [], strings: C_STRINGS };
+// Quotes only open a YAML string at the start of a value, so the
+// apostrophe in `title: Don't panic` is plain text.
+const YAML_STYLE = { line: [SPACED_HASH_LINE], block: [], strings: C_STRINGS, quotedValues: true };
+// Prose has no comment syntax: every line is one comment region.
+const PLAIN_TEXT = { line: [], block: [], strings: [], plain: true };
+
+// A `/` after one of these (or a keyword such as `return`) starts a
+// regular expression literal rather than a division.
+const REGEX_PREFIX = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|do|else|in|of|void|yield|await|delete|instanceof|new))\s*$/;
+const YAML_VALUE_START = /(?:^|[:?-]\s|[[{,])\s*$/;
+const UNQUOTED_URL = /url\(\s*(?!['"])/iy;
+
+const COMMENT_SYNTAX = {
+  js: JS_STYLE,
+  jsx: JS_STYLE,
+  ts: JS_STYLE,
+  tsx: JS_STYLE,
+  vue: { line: [C_LINE], block: [C_BLOCK, HTML_BLOCK], strings: JS_STRINGS, multilineStrings: ['`'], regex: true },
+  php: { line: [C_LINE, HASH_LINE], block: [C_BLOCK, HTML_BLOCK], strings: C_STRINGS },
+  py: {
+    line: [HASH_LINE],
+    block: [{ open: '"""', close: '"""' }, { open: "'''", close: "'''" }],
+    strings: C_STRINGS
+  },
+  java: C_STYLE,
+  cs: C_STYLE,
+  cpp: C_STYLE,
+  h: C_STYLE,
+  hpp: C_STYLE,
+  m: C_STYLE,
+  mm: C_STYLE,
+  kt: C_STYLE,
+  swift: C_STYLE,
+  dart: C_STYLE,
+  json: C_STYLE,
+  go: { line: [C_LINE], block: [C_BLOCK], strings: JS_STRINGS, multilineStrings: ['`'] },
+  rs: { line: [C_LINE], block: [C_BLOCK], strings: ['"'] },
+  css: CSS_STYLE,
+  scss: SCSS_STYLE,
+  less: SCSS_STYLE,
+  sass: SCSS_STYLE,
+  html: HTML_STYLE,
+  xml: MARKUP_STYLE,
+  yaml: YAML_STYLE,
+  yml: YAML_STYLE,
+  sh: SHELL_STYLE,
+  bash: SHELL_STYLE,
+  zsh: SHELL_STYLE,
+  rb: { line: [HASH_LINE], block: [{ open: '=begin', close: '=end', lineStart: true }], strings: C_STRINGS },
+  pl: { line: [HASH_LINE], block: [{ open: '=pod', close: '=cut', lineStart: true }], strings: C_STRINGS },
+  pm: { line: [HASH_LINE], block: [{ open: '=pod', close: '=cut', lineStart: true }], strings: C_STRINGS },
+  ps1: { line: [HASH_LINE], block: [{ open: '<#', close: '#>' }], strings: C_STRINGS },
+  psm1: { line: [HASH_LINE], block: [{ open: '<#', close: '#>' }], strings: C_STRINGS },
+  lua: { line: [{ open: '--' }], block: [{ open: '--[[', close: ']]' }], strings: C_STRINGS },
+  ini: { line: [SEMI_LINE, HASH_LINE], block: [], strings: [] },
+  asm: { line: [SEMI_LINE], block: [], strings: C_STRINGS },
+  md: MARKUP_STYLE,
+  txt: PLAIN_TEXT,
+};
+
+// Extensions without an entry, such as ones added to codeTODO.include,
+// are scanned as plain text.
+function getCommentSyntax(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return COMMENT_SYNTAX[ext] || PLAIN_TEXT;
+}
+
+function _compile(syntax) {
+  const delimiters = [];
+  for (const block of syntax.block) delimiters.push({ ...block, block: true });
+  for (const line of syntax.line) delimiters.push({ ...line, block: false });
+  delimiters.sort((a, b) => b.open.length - a.open.length);
+  return delimiters;
+}
+
+const compiledSyntax = new Map();
+
+function _delimiters(syntax) {
+  if (!compiledSyntax.has(syntax)) compiledSyntax.set(syntax, _compile(syntax));
+  return compiledSyntax.get(syntax);
+}
+
+/**
+ * Splits lines into the comment regions they contain, carrying block
+ * comment and multi-line string state from one line to the next.
+ * Plain text files, and files without a known syntax, have every line
+ * as a single comment region.
+ *
+ * Each region has the offset and text of its content, the span of the
+ * whole comment on the line including delimiters (`commentStart` and
+ * `commentEnd`), and `partial` when a block comment continues from or
+ * onto another line.
+ */
+class CommentScanner {
+  constructor(filePath) {
+    this.syntax = getCommentSyntax(filePath);
+    this.region = null;
+    this.block = null;
+    this.quote = null;
+  }
+
+  scanLine(line) {
+    if (this.syntax.plain) return [{ start: 0, text: line, commentStart: 0, commentEnd: line.length, partial: false }];
+
+    const segments = [];
+    const len = line.length;
+    let i = 0;
+    let openedAt = -1;
+
+    while (i < len) {
+      if (this.block) {
+        const commentStart = openedAt === -1 ? i : openedAt;
+        const end = line.indexOf(this.block.close, i);
+        if (end === -1) {
+          segments.push({ start: i, text: line.slice(i), commentStart, commentEnd: len, partial: true });
+          return segments;
+        }
+        segments.push({
+          start: i,
+          text: line.slice(i, end),
+          commentStart,
+          commentEnd: end + this.block.close.length,
+          partial: openedAt === -1,
+        });
+        i = end + this.block.close.length;
+        this.block = null;
+        openedAt = -1;
+        continue;
+      }
+
+      if (this.quote) {
+        i = this._skipString(line, i);
+        continue;
+      }
+
+      if (this.region) {
+        if (_startsWithTag(line, i, this.region.close)) {
+          i += this.region.close.length;
+          this.region = null;
+          continue;
+        }
+      } else if (this.syntax.regions) {
+        const region = this.syntax.regions.find(r => _startsWithTag(line, i, r.open));
+        if (region) {
+          const end = line.indexOf('>', i);
+          i = end === -1 ? len : end + 1;
+          this.region = region;
+          continue;
+        }
+      }
+
+      const syntax = this.region ? this.region.syntax : this.syntax;
+      const delimiter = this._matchDelimiter(line, i, _delimiters(syntax));
+      if (!delimiter) {
+        const ch = line[i];
+        UNQUOTED_URL.lastIndex = i;
+        if (syntax.urls && (ch === 'u' || ch === 'U') && UNQUOTED_URL.test(line)) {
+          const end = line.indexOf(')', i);
+          i = end === -1 ? len : end + 1;
+        } else if (ch === '/' && syntax.regex && REGEX_PREFIX.test(line.slice(0, i))) {
+          i = this._skipRegex(line, i);
+        } else if (syntax.strings.includes(ch) &&
+          (!syntax.quotedValues || YAML_VALUE_START.test(line.slice(0, i)))) {
+          this.quote = ch;
+          i = this._skipString(line, i + 1);
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      const start = i + delimiter.open.length;
+      if (!delimiter.block) {
+        segments.push({ start, text: line.slice(start), commentStart: i, commentEnd: len, partial: false });
+        return segments;
+      }
+      this.block = delimiter;
+      openedAt = i;
+      i = start;
+    }
+
+    const syntax = this.region ? this.region.syntax : this.syntax;
+    if (this.quote && !(syntax.multilineStrings || []).includes(this.quote)) {
+      this.quote = null;
+    }
+    return segments;
+  }
+
+  _skipString(line, i) {
+    const len = line.length;
+    while (i < len) {
+      const ch = line[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === this.quote) {
+        this.quote = null;
+        return i + 1;
+      }
+      i++;
+    }
+    return len;
+  }
+
+  // Skips a regular expression literal starting at `i`. Without a closing
+  // `/` on the line it was a division after all.
+  _skipRegex(line, i) {
+    let inClass = false;
+    for (let j = i + 1; j < line.length; j++) {
+      const ch = line[j];
+      if (ch === '\\') {
+        j++;
+      } else if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        return j + 1;
+      }
+    }
+    return i + 1;
+  }
+
+  _matchDelimiter(line, i, delimiters) {
+    for (const delimiter of delimiters) {
+      if (!line.startsWith(delimiter.open, i)) continue;
+      if (delimiter.lineStart && line.slice(0, i).trim() !== '') continue;
+      if (delimiter.spaced && i > 0 && !/\s/.test(line[i - 1])) continue;
+      return delimiter;
+    }
+    return null;
+  }
+}
+
+// `<script` but not `<scripts`, in any case.
+function _startsWithTag(line, i, tag) {
+  return line.slice(i, i + tag.length).toLowerCase() === tag && !/[\w-]/.test(line[i + tag.length] || '');
+}
+
+module.exports = { COMMENT_SYNTAX, getCommentSyntax, CommentScanner };
@@ -0,0 +1,218 @@
+const path = require('path');
+const { formatAge } = require('./blame');
+
+const HISTORY_LIMIT = 366;
+const TOP_LIMIT = 10;
+
+/**
+ * Adds a snapshot of the tag totals to `history`, replacing the one from
+ * the same day so only the last scan of each day is kept.
+ */
+function recordSnapshot(history, totals, date) {
+  const snapshot = { date, totals: { ...totals } };
+  const next = history.filter(entry => entry.date !== date);
+  next.push(snapshot);
+  next.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return next.slice(-HISTORY_LIMIT);
+}
+
+function _escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// TODOs per 100 lines, or 0 when the line count is unknown.
+function _density(count, lines) {
+  return lines > 0 ? (count * 100) / lines : 0;
+}
+
+/**
+ * Aggregates `fileMap` into the rankings shown on the dashboard: folders
+ * and files with the highest TODO density and the oldest items according
+ * to blame. `lineCounts` has the lines of every scanned file, with or
+ * without TODOs, so a folder's density is over all of its lines.
+ */
+function summarize(fileMap, roots, lineCounts = new Map()) {
+  const multiRoot = roots.length > 1;
+  const bySpecificity = [...roots].sort((a, b) => b.path.length - a.path.length);
+  const folders = new Map();
+  const files = [];
+  const dated = [];
+  const labelOf = filePath => {
+    const root = bySpecificity.find(r => filePath === r.path || filePath.startsWith(r.path + path.sep));
+    if (!root) return null;
+    const relativePath = path.relative(root.path, filePath).split(path.sep).join('/');
+    return multiRoot ? `${root.name}/${relativePath}` : relativePath;
+  };
+  const folderOf = label => {
+    const slash = label.lastIndexOf('/');
+    const folder = slash === -1 ? '.' : label.slice(0, slash);
+    if (!folders.has(folder)) folders.set(folder, { label: folder, count: 0, files: 0, lines: 0 });
+    return folders.get(folder);
+  };
+
+  for (const [filePath, lines] of lineCounts) {
+    const label = labelOf(filePath);
+    if (label) folderOf(label).lines += lines;
+  }
+
+  for (const [filePath, items] of fileMap) {
+    if (items.length === 0) continue;
+    const label = labelOf(filePath);
+    if (!label) continue;
+    const lines = lineCounts.get(filePath) || 0;
+    files.push({ label, filePath, count: items.length, lines, density: _density(items.length, lines) });
+
+    const folder = folderOf(label);
+    folder.count += items.length;
+    folder.files++;
+
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].authorTime) dated.push({ item: items[i], label, filePath });
+    }
+  }
+
+  const withTodos = [...folders.values()].filter(folder => folder.count > 0);
+  for (const folder of withTodos) folder.density = _density(folder.count, folder.lines);
+  const byDensity = (a, b) => (b.density - a.density) || (b.count - a.count) || a.label.localeCompare(b.label);
+  return {
+    folders: withTodos.sort(byDensity).slice(0, TOP_LIMIT),
+    files: files.sort(byDensity).slice(0, TOP_LIMIT),
+    oldest: dated.sort((a, b) => a.item.authorTime - b.item.authorTime).slice(0, TOP_LIMIT),
+  };
+}
+
+function _chart(history, tags, colors) {
+  const width = 720;
+  const height = 240;
+  const pad = { top: 16, right: 16, bottom: 28, left: 40 };
+  if (history.length === 0) return '<p class="empty">No history yet. A snapshot is stored after each full scan.</p>';
+
+  const shown = tags.filter(tag => history.some(entry => entry.totals[tag]));
+  let max = 1;
+  for (const entry of history) {
+    for (const tag of shown) max = Math.max(max, entry.totals[tag] || 0);
+  }
+
+  const innerWidth = width - pad.left - pad.right;
+  const innerHeight = height - pad.top - pad.bottom;
+  const x = i => pad.left + (history.length === 1 ? innerWidth / 2 : (i / (history.length - 1)) * innerWidth);
+  const y = value => pad.top + innerHeight - (value / max) * innerHeight;
+
+  const parts = [
+    `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="TODOs per tag over time">`,
+    `<line class="axis" x1="${pad.left}" y1="${pad.top + innerHeight}" x2="${width - pad.right}" y2="${pad.top + innerHeight}"/>`,
+    `<line class="axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + innerHeight}"/>`,
+    `<text class="label" x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${max}</text>`,
+    `<text class="label" x="${pad.left - 6}" y="${pad.top + innerHeight}" text-anchor="end">0</text>`,
+    `<text class="label" x="${x(0)}" y="${height - 8}" text-anchor="start">${_escape(history[0].date)}</text>`,
+  ];
+  if (history.length > 1) {
+    parts.push(`<text class="label" x="${x(history.length - 1)}" y="${height - 8}" text-anchor="end">${_escape(history[history.length - 1].date)}</text>`);
+  }
+
+  for (const tag of shown) {
+    const points = history.map((entry, i) => `${x(i).toFixed(1)},${y(entry.totals[tag] || 0).toFixed(1)}`);
+    const color = _escape(colors[tag] || 'gray');
+    parts.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${points.join(' ')}"><title>${_escape(tag)}</title></polyline>`);
+    for (let i = 0; i < history.length; i++) {
+      const value = history[i].totals[tag] || 0;
+      parts.push(`<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3" fill="${color}"><title>${_escape(`${tag} ${history[i].date}: ${value}`)}</title></circle>`);
+    }
+  }
+  parts.push('</svg>');
+
+  const legend = shown.map(tag =>
+    `<span class="legend"><span class="swatch" style="background:${_escape(colors[tag] || 'gray')}"></span>${_escape(tag)}</span>`);
+  return parts.join('\n') + `\n<div>${legend.join(' ')}</div>`;
+}
+
+function _table(headers, rows) {
+  if (rows.length === 0) return '<p class="empty">Nothing to show.</p>';
+  const head = headers.map(h => `<th>${_escape(h)}</th>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${rows.join('\n')}</tbody></table>`;
+}
+
+function _openLink(text, filePath, line) {
+  return `<a href="#" data-file="${_escape(filePath)}" data-line="${line}">${_escape(text)}</a>`;
+}
+
+/**
+ * Renders the dashboard as a self-contained page: the chart is inline
+ * SVG and the only script (opening files) is inline with a nonce, so
+ * nothing is loaded from the network.
+ */
+function renderDashboard({ history, tags, colors, summary, nonce, cspSource, now }) {
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+  const previous = history.length > 1 ? history[history.length - 2] : null;
+  const total = entry => Object.values(entry.totals).reduce((sum, n) => sum + n, 0);
+
+  let headline = '';
+  if (latest) {
+    const delta = previous ? total(latest) - total(previous) : 0;
+    const trend = previous
+      ? ` (${delta > 0 ? '+' : ''}${delta} since ${_escape(previous.date)})`
+      : '';
+    headline = `<p class="headline">${total(latest)} TODOs on ${_escape(latest.date)}${trend}</p>`;
+  }
+
+  const folderRows = summary.folders.map(folder =>
+    `<tr><td>${_escape(folder.label)}</td><td class="num">${folder.density.toFixed(1)}</td><td class="num">${folder.count}</td><td class="num">${folder.files}</td></tr>`);
+  const fileRows = summary.files.map(file =>
+    `<tr><td>${_openLink(file.label, file.filePath, 0)}</td><td class="num">${file.density.toFixed(1)}</td><td class="num">${file.count}</td><td class="num">${file.lines}</td></tr>`);
+  const oldestRows = summary.oldest.map(({ item, label, filePath }) =>
+    `<tr><td>${_escape(item.tag)}</td><td>${_openLink(item.text || item.tag, filePath, item.line)}</td>` +
+    `<td>${_escape(`${label}:${item.line + 1}`)}</td><td>${_escape(item.author || '')}</td>` +
+    `<td>${_escape(formatAge(item.authorTime, now))}</td></tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${cspSource} data:; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>TODO Dashboard</title>
+<style>
+  body { color: var(--vscode-foreground); font-family: var(--vscode-font-family); padding: 0 16px 16px; }
+  h2 { font-size: 1.1em; margin-top: 24px; }
+  svg { width: 100%; max-width: 720px; height: auto; }
+  .axis { stroke: var(--vscode-editorWidget-border, gray); }
+  .label { fill: var(--vscode-descriptionForeground); font-size: 11px; }
+  .legend { margin-right: 12px; white-space: nowrap; }
+  .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+  table { border-collapse: collapse; width: 100%; max-width: 960px; }
+  th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid var(--vscode-editorWidget-border, transparent); }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  a { color: var(--vscode-textLink-foreground); text-decoration: none; }
+  .empty, .headline { color: var(--vscode-descriptionForeground); }
+</style>
+</head>
+<body>
+<h1>TODO Dashboard</h1>
+${headline}
+<h2>TODOs per tag over time</h2>
+${_chart(history, tags, colors)}
+<h2>Densest folders</h2>
+${_table(['Folder', 'Per 100 lines', 'TODOs', 'Files'], folderRows)}
+<h2>Densest files</h2>
+${_table(['File', 'Per 100 lines', 'TODOs', 'Lines'], fileRows)}
+<h2>Oldest TODOs</h2>
+${_table(['Tag', 'Text', 'Location', 'Author', 'Age'], oldestRows)}
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  document.addEventListener('click', event => {
+    const link = event.target.closest('a[data-file]');
+    if (!link) return;
+    event.preventDefault();
+    vscode.postMessage({ command: 'open', file: link.dataset.file, line: Number(link.dataset.line) });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { HISTORY_LIMIT, recordSnapshot, summarize, renderDashboard };
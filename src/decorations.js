@@ -0,0 +1,189 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+const { todayString, isOverdue } = require('./metadata');
+
+const TAG_ICONS = {
+  'TODO': 'checklist',
+  'FIXME': 'tools',
+  'BUG': 'bug',
+  'HACK': 'warning',
+  'XXX': 'alert',
+  'NOTE': 'info',
+  'OPTIMIZE': 'zap',
+  'REVIEW': 'eye',
+};
+
+const BASE_STYLE = {
+  background: 'rgba(128, 128, 128, 0.3)',
+  rulerColor: 'rgba(128, 128, 128, 0.8)',
+  highlight: 'tag',
+  gutterIcon: false,
+};
+
+const DEFAULT_TAG_STYLES = {
+  BUG: { background: 'rgba(229, 57, 53, 0.35)', rulerColor: '#e53935', iconColor: 'charts.red' },
+  FIXME: { background: 'rgba(251, 140, 0, 0.35)', rulerColor: '#fb8c00', iconColor: 'charts.orange' },
+  HACK: { background: 'rgba(253, 216, 53, 0.35)', rulerColor: '#fdd835', iconColor: 'charts.yellow' },
+  XXX: { background: 'rgba(142, 36, 170, 0.35)', rulerColor: '#8e24aa', iconColor: 'charts.purple' },
+  TODO: { background: 'rgba(30, 136, 229, 0.3)', rulerColor: '#1e88e5', iconColor: 'charts.blue' },
+  NOTE: { background: 'rgba(67, 160, 71, 0.3)', rulerColor: '#43a047', iconColor: 'charts.green' },
+  OPTIMIZE: { background: 'rgba(0, 137, 123, 0.3)', rulerColor: '#00897b', iconColor: 'charts.green' },
+  REVIEW: { background: 'rgba(94, 53, 177, 0.3)', rulerColor: '#5e35b1', iconColor: 'charts.purple' },
+};
+
+const OVERDUE_STYLE = {
+  backgroundColor: 'rgba(255, 80, 80, 0.35)',
+  border: '1px solid rgba(255, 80, 80, 0.9)',
+  borderRadius: '3px',
+  overviewRulerColor: 'red',
+  overviewRulerLane: vscode.OverviewRulerLane.Right,
+};
+
+function resolveTagStyle(tag, userStyles) {
+  return { ...BASE_STYLE, ...DEFAULT_TAG_STYLES[tag], ...(userStyles && userStyles[tag]) };
+}
+
+function _themable(style) {
+  const options = {};
+  if (style.foreground) options.color = style.foreground;
+  if (style.background) options.backgroundColor = style.background;
+  if (style.border) options.border = style.border;
+  if (style.rulerColor) options.overviewRulerColor = style.rulerColor;
+  return options;
+}
+
+function _gutterSvg(color) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">` +
+    `<circle cx="8" cy="8" r="4" fill="${color}"/></svg>`;
+}
+
+/**
+ * One TextEditorDecorationType per tag, built from `codeTODO.tagStyles`
+ * merged over the built-in defaults, plus a shared type for overdue items.
+ */
+class TagDecorations {
+  constructor(context) {
+    this.context = context;
+    this.styles = new Map();
+    this.types = new Map();
+    this.overdueType = vscode.window.createTextEditorDecorationType(OVERDUE_STYLE);
+  }
+
+  /**
+   * Creates the types of new tags and of tags whose style changed, and
+   * disposes the ones no longer listed, so unchanged tags keep their
+   * decorations in open editors. Returns whether any type changed.
+   */
+  load(tags, userStyles) {
+    let changed = false;
+    for (const tag of [...this.types.keys()]) {
+      if (tags.includes(tag)) continue;
+      this.types.get(tag).dispose();
+      this.types.delete(tag);
+      this.styles.delete(tag);
+      changed = true;
+    }
+
+    for (let i = 0; i < tags.length; i++) {
+      const tag = tags[i];
+      const style = resolveTagStyle(tag, userStyles);
+      if (this.types.has(tag) && JSON.stringify(this.styles.get(tag)) === JSON.stringify(style)) continue;
+      if (this.types.has(tag)) this.types.get(tag).dispose();
+      this.styles.set(tag, style);
+      this.types.set(tag, vscode.window.createTextEditorDecorationType(this._decorationOptions(tag, style)));
+      changed = true;
+    }
+    return changed;
+  }
+
+  _decorationOptions(tag, style) {
+    const options = {
+      ..._themable(style),
+      borderRadius: '3px',
+      overviewRulerLane: vscode.OverviewRulerLane.Right,
+      isWholeLine: style.highlight === 'line',
+    };
+    if (style.light) options.light = _themable(style.light);
+    if (style.dark) options.dark = _themable(style.dark);
+
+    const gutterIcon = this._gutterIconPath(tag, style);
+    if (gutterIcon) {
+      options.gutterIconPath = gutterIcon;
+      options.gutterIconSize = 'contain';
+    }
+    return options;
+  }
+
+  _gutterIconPath(tag, style) {
+    if (typeof style.gutterIcon === 'string' && style.gutterIcon) {
+      return vscode.Uri.file(style.gutterIcon);
+    }
+    if (style.gutterIcon !== true || !this.context.globalStorageUri) return null;
+
+    const color = style.rulerColor || style.foreground || 'gray';
+    try {
+      const dir = this.context.globalStorageUri.fsPath;
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `gutter-${tag.replace(/[^\w-]/g, '_')}.svg`);
+      fs.writeFileSync(file, _gutterSvg(color));
+      return vscode.Uri.file(file);
+    } catch (error) {
+      console.error('Gutter icon write failed:', error);
+      return null;
+    }
+  }
+
+  treeIcon(tag) {
+    const style = this.styles.get(tag) || resolveTagStyle(tag);
+    return new vscode.ThemeIcon(
+      style.icon || TAG_ICONS[tag] || 'comment',
+      style.iconColor ? new vscode.ThemeColor(style.iconColor) : undefined
+    );
+  }
+
+  _range(item, style) {
+    if (style.highlight !== 'tag' && item.endLine > item.line) {
+      return new vscode.Range(item.line, item.column, item.endLine, item.endColumn);
+    }
+    const end = style.highlight === 'text' && item.endColumn
+      ? item.endColumn
+      : item.column + item.tag.length;
+    return new vscode.Range(item.line, item.column, item.line, end);
+  }
+
+  apply(editor, items) {
+    const today = todayString();
+    const rangesByTag = new Map();
+    for (const tag of this.types.keys()) rangesByTag.set(tag, []);
+    const overdueRanges = [];
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const style = this.styles.get(item.tag) || BASE_STYLE;
+      if (isOverdue(item, today)) {
+        overdueRanges.push(this._range(item, style));
+      } else if (rangesByTag.has(item.tag)) {
+        rangesByTag.get(item.tag).push(this._range(item, style));
+      }
+    }
+
+    for (const [tag, ranges] of rangesByTag) {
+      editor.setDecorations(this.types.get(tag), ranges);
+    }
+    editor.setDecorations(this.overdueType, overdueRanges);
+  }
+
+  _disposeTypes() {
+    for (const type of this.types.values()) type.dispose();
+    this.types.clear();
+    this.styles.clear();
+  }
+
+  dispose() {
+    this._disposeTypes();
+    this.overdueType.dispose();
+  }
+}
+
+module.exports = { TagDecorations, TAG_ICONS, DEFAULT_TAG_STYLES, resolveTagStyle };
@@ -0,0 +1,95 @@
+const vscode = require('vscode');
+
+const DEFAULT_SEVERITIES = {
+  BUG: 'error',
+  FIXME: 'warning',
+  HACK: 'warning',
+  XXX: 'warning',
+  TODO: 'information',
+  OPTIMIZE: 'information',
+  REVIEW: 'information',
+  NOTE: 'hint',
+};
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+/**
+ * Mirrors `fileMap` into a DiagnosticCollection so TODOs show up in the
+ * Problems panel. Depending on `codeTODO.diagnostics.scope` only open
+ * documents or the whole workspace are published.
+ */
+class TodoDiagnostics {
+  constructor() {
+    this.collection = vscode.languages.createDiagnosticCollection('codeTODO');
+    this.enabled = false;
+    this.scope = 'openFiles';
+    this.severities = DEFAULT_SEVERITIES;
+    this.openFiles = new Set();
+    for (const document of vscode.workspace.textDocuments) {
+      this.openFiles.add(document.uri.fsPath);
+    }
+  }
+
+  loadConfig(config) {
+    this.enabled = config.get('diagnostics.enabled', false);
+    this.scope = config.get('diagnostics.scope', 'openFiles');
+    this.severities = { ...DEFAULT_SEVERITIES, ...config.get('diagnostics.severity', {}) };
+  }
+
+  _isPublished(filePath) {
+    return this.enabled && (this.scope === 'workspace' || this.openFiles.has(filePath));
+  }
+
+  update(filePath, items) {
+    const uri = vscode.Uri.file(filePath);
+    if (!items || items.length === 0 || !this._isPublished(filePath)) {
+      this.collection.delete(uri);
+      return;
+    }
+
+    const diagnostics = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const severity = SEVERITIES[String(this.severities[item.tag] || 'information').toLowerCase()];
+      if (severity === undefined) continue;
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(item.line, item.column, item.line, item.column + item.tag.length),
+        item.text ? `${item.tag}: ${item.text}` : item.tag,
+        severity
+      );
+      diagnostic.source = 'Code TODO';
+      diagnostic.code = item.tag;
+      diagnostics.push(diagnostic);
+    }
+    this.collection.set(uri, diagnostics);
+  }
+
+  refreshAll(fileMap) {
+    this.collection.clear();
+    if (!this.enabled) return;
+    for (const [filePath, items] of fileMap) {
+      if (this._isPublished(filePath)) this.update(filePath, items);
+    }
+  }
+
+  didOpen(filePath, items) {
+    this.openFiles.add(filePath);
+    this.update(filePath, items);
+  }
+
+  didClose(filePath) {
+    this.openFiles.delete(filePath);
+    if (this.scope !== 'workspace') this.collection.delete(vscode.Uri.file(filePath));
+  }
+
+  dispose() {
+    this.collection.dispose();
+  }
+}
+
+module.exports = { TodoDiagnostics, DEFAULT_SEVERITIES };
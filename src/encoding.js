@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+
+// Bytes looked at to tell text from binary, as git does.
+const BINARY_SAMPLE = 8000;
+const UTF16_SAMPLE = 512;
+
+// File extension to VS Code language id, for `[language]` overrides of
+// `files.encoding`. Assembly has no built-in language; `asm` is the id
+// the assembly language extensions register.
+const LANGUAGE_IDS = {
+  js: 'javascript', jsx: 'javascriptreact', ts: 'typescript', tsx: 'typescriptreact', vue: 'vue',
+  php: 'php', py: 'python', java: 'java', cs: 'csharp', cpp: 'cpp', h: 'c', hpp: 'cpp',
+  html: 'html', css: 'css', scss: 'scss', less: 'less', sass: 'sass', md: 'markdown', txt: 'plaintext',
+  yaml: 'yaml', yml: 'yaml', json: 'json', xml: 'xml', rb: 'ruby', go: 'go', rs: 'rust',
+  kt: 'kotlin', swift: 'swift', m: 'objective-c', mm: 'objective-cpp', dart: 'dart', lua: 'lua',
+  pl: 'perl', pm: 'perl', sh: 'shellscript', bash: 'shellscript', zsh: 'shellscript',
+  ps1: 'powershell', psm1: 'powershell', ini: 'ini', asm: 'asm',
+};
+
+// VS Code encoding ids that are not a WHATWG label once punctuation is dropped.
+const LABELS = {
+  utf8: 'utf-8',
+  utf8bom: 'utf-8',
+  utf16le: 'utf-16le',
+  utf16be: 'utf-16be',
+  latin1: 'windows-1252',
+  macroman: 'macintosh',
+  cp866: 'ibm866',
+  shiftjis: 'shift_jis',
+  eucjp: 'euc-jp',
+  euckr: 'euc-kr',
+  cp950: 'big5',
+  big5hkscs: 'big5',
+  gb2312: 'gbk',
+};
+
+const decoders = new Map();
+
+function _label(encoding) {
+  const id = String(encoding || 'utf8').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (LABELS[id]) return LABELS[id];
+  let match;
+  if ((match = /^windows(\d+)$/.exec(id))) return `windows-${match[1]}`;
+  if ((match = /^iso8859(\d+)$/.exec(id))) return `iso-8859-${match[1]}`;
+  if ((match = /^koi8([a-z]+)$/.exec(id))) return `koi8-${match[1]}`;
+  return id;
+}
+
+function _decoder(label) {
+  let decoder = decoders.get(label);
+  if (!decoder) {
+    try {
+      decoder = new TextDecoder(label);
+    } catch {
+      // Encodings the runtime does not know, such as cp437, read as UTF-8.
+      decoder = new TextDecoder('utf-8');
+    }
+    decoders.set(label, decoder);
+  }
+  return decoder;
+}
+
+/**
+ * The encoding given by a byte order mark, or by the zero bytes of
+ * UTF-16 text without one, or null.
+ */
+function detectEncoding(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf8';
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf16le';
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf16be';
+
+  const length = Math.min(buffer.length, UTF16_SAMPLE);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i++) {
+    if (buffer[i] !== 0) continue;
+    if (i % 2 === 0) evenZeros++;
+    else oddZeros++;
+  }
+  if (oddZeros > 0 && evenZeros === 0 && oddZeros >= length / 4) return 'utf16le';
+  if (evenZeros > 0 && oddZeros === 0 && evenZeros >= length / 4) return 'utf16be';
+  return null;
+}
+
+function isBinary(buffer) {
+  const length = Math.min(buffer.length, BINARY_SAMPLE);
+  for (let i = 0; i < length; i++) {
+    if (buffer[i] === 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Decodes file content the way the editor shows it: a byte order mark or
+ * UTF-16 text overrides `encoding` (a `files.encoding` value such as
+ * `windows1252`) and is not part of the text. Returns null for binary
+ * content.
+ */
+function decodeText(buffer, encoding = 'utf8') {
+  let label = _label(encoding);
+  const detected = detectEncoding(buffer);
+  if (detected) {
+    label = _label(detected);
+  } else if (!label.startsWith('utf-16') && isBinary(buffer)) {
+    return null;
+  }
+  return _decoder(label).decode(buffer);
+}
+
+async function readText(filePath, encoding) {
+  return decodeText(await fs.readFile(filePath), encoding);
+}
+
+/**
+ * File extensions whose language overrides `files.encoding`, mapped to
+ * the encoding. `encodingOf(languageId)` returns the language's setting.
+ */
+function languageEncodings(defaultEncoding, encodingOf) {
+  const byExtension = {};
+  const byLanguage = new Map();
+  for (const [extension, languageId] of Object.entries(LANGUAGE_IDS)) {
+    if (!byLanguage.has(languageId)) byLanguage.set(languageId, encodingOf(languageId));
+    const encoding = byLanguage.get(languageId);
+    if (typeof encoding === 'string' && encoding && encoding !== defaultEncoding) byExtension[extension] = encoding;
+  }
+  return byExtension;
+}
+
+module.exports = { LANGUAGE_IDS, decodeText, detectEncoding, isBinary, languageEncodings, readText };
@@ -0,0 +1,114 @@
+const vscode = require('vscode');
+const path = require('path');
+const { resolveTagStyle } = require('./decorations');
+
+const FLUSH_DELAY = 100;
+const MAX_BADGE = 99;
+
+/**
+ * Count badges in the Explorer for files with TODOs and for the folders
+ * above them, up to the workspace folder. Folder totals are adjusted per
+ * changed file, so looking up a decoration never walks the tree.
+ */
+class TodoFileDecorations {
+  constructor() {
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChangeFileDecorations = this._onDidChange.event;
+    this.enabled = true;
+    this.tags = null;
+    this.tagOrder = [];
+    this.colors = new Map();
+    this.roots = [];
+    this.counts = new Map();
+    this._pending = new Set();
+    this._timer = null;
+  }
+
+  loadConfig(config, tags, rootPaths) {
+    this.enabled = config.get('fileDecorations.enabled', true);
+    const badgeTags = config.get('fileDecorations.tags', []);
+    this.tags = Array.isArray(badgeTags) && badgeTags.length > 0 ? new Set(badgeTags) : null;
+    this.tagOrder = tags;
+    const styles = config.get('tagStyles', {});
+    this.colors = new Map(tags.map(tag => [tag, resolveTagStyle(tag, styles).iconColor]));
+    // Longest first, so a file counts toward the innermost workspace folder.
+    this.roots = [...rootPaths].sort((a, b) => b.length - a.length);
+  }
+
+  reset(fileMap) {
+    this.counts.clear();
+    if (this.enabled) {
+      for (const [filePath, items] of fileMap) this._add(filePath, items, 1);
+    }
+    this._pending.clear();
+    this._onDidChange.fire(undefined);
+  }
+
+  update(filePath, oldItems, newItems) {
+    if (!this.enabled) return;
+    this._add(filePath, oldItems, -1);
+    this._add(filePath, newItems, 1);
+    if (this._pending.size > 0 && !this._timer) {
+      this._timer = setTimeout(() => this._flush(), FLUSH_DELAY);
+    }
+  }
+
+  _add(filePath, items, sign) {
+    const byTag = new Map();
+    for (let i = 0; i < items.length; i++) {
+      const tag = items[i].tag;
+      if (!this.tags || this.tags.has(tag)) byTag.set(tag, (byTag.get(tag) || 0) + 1);
+    }
+    if (byTag.size === 0) return;
+
+    const root = this.roots.find(r => filePath.startsWith(r + path.sep));
+    let current = filePath;
+    for (;;) {
+      const counts = this.counts.get(current) || new Map();
+      for (const [tag, count] of byTag) {
+        const next = (counts.get(tag) || 0) + sign * count;
+        if (next > 0) counts.set(tag, next);
+        else counts.delete(tag);
+      }
+      if (counts.size > 0) this.counts.set(current, counts);
+      else this.counts.delete(current);
+      this._pending.add(current);
+
+      if (!root || current === root) break;
+      current = path.dirname(current);
+    }
+  }
+
+  _flush() {
+    this._timer = null;
+    const uris = [...this._pending].map(filePath => vscode.Uri.file(filePath));
+    this._pending.clear();
+    if (uris.length > 0) this._onDidChange.fire(uris);
+  }
+
+  provideFileDecoration(uri) {
+    if (!this.enabled || uri.scheme !== 'file') return undefined;
+    const counts = this.counts.get(uri.fsPath);
+    if (!counts) return undefined;
+
+    let total = 0;
+    for (const count of counts.values()) total += count;
+    const tags = this.tagOrder.filter(tag => counts.has(tag));
+    for (const tag of counts.keys()) {
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    const color = this.colors.get(tags[0]);
+    return new vscode.FileDecoration(
+      total > MAX_BADGE ? '∞' : String(total),
+      `${total} TODO${total === 1 ? '' : 's'} (${tags.map(tag => `${tag}: ${counts.get(tag)}`).join(', ')})`,
+      color ? new vscode.ThemeColor(color) : undefined
+    );
+  }
+
+  dispose() {
+    if (this._timer) clearTimeout(this._timer);
+    this._onDidChange.dispose();
+  }
+}
+
+module.exports = { TodoFileDecorations };
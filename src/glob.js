@@ -0,0 +1,96 @@
+const regexCache = new Map();
+
+function _escape(ch) {
+  return /[\\^$.*+?()[\]{}|/]/.test(ch) ? `\\${ch}` : ch;
+}
+
+function _translate(glob) {
+  let out = '';
+  let depth = 0;
+  let i = 0;
+
+  while (i < glob.length) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            out += '.*';
+            i += 2;
+          } else {
+            out += '(?:[^/]*(?:/|$))*';
+            i += 3;
+          }
+          continue;
+        }
+      }
+      out += '[^/]*';
+      while (glob[i] === '*') i++;
+      continue;
+    }
+
+    if (ch === '?') {
+      out += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        out += '\\[';
+      } else {
+        let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (body[0] === '!') body = `^${body.slice(1)}`;
+        out += `[${body}]`;
+        i = end;
+      }
+    } else if (ch === '{') {
+      out += '(?:';
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      out += ')';
+      depth--;
+    } else if (ch === ',' && depth > 0) {
+      out += '|';
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      out += _escape(glob[i + 1]);
+      i++;
+    } else {
+      out += _escape(ch);
+    }
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Converts a VS Code style glob (`**`, `*`, `?`, `[...]`, `{a,b}`) into a
+ * RegExp matched against forward-slash separated relative paths.
+ */
+function globToRegExp(glob) {
+  let regex = regexCache.get(glob);
+  if (!regex) {
+    regex = new RegExp(`^${_translate(glob)}$`);
+    regexCache.set(glob, regex);
+  }
+  return regex;
+}
+
+function toPosixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+function matchGlob(relativePath, glob) {
+  return globToRegExp(glob).test(toPosixPath(relativePath));
+}
+
+function matchAny(relativePath, globs) {
+  const posixPath = toPosixPath(relativePath);
+  for (let i = 0; i < globs.length; i++) {
+    if (globToRegExp(globs[i]).test(posixPath)) return true;
+  }
+  return false;
+}
+
+module.exports = { globToRegExp, matchGlob, matchAny, toPosixPath };
@@ -0,0 +1,105 @@
+const { globToRegExp, matchAny, toPosixPath } = require('./glob');
+
+const IGNORE_FILES = ['.gitignore', '.todoignore'];
+
+/**
+ * Parses gitignore syntax into rules matched against paths relative to
+ * the folder holding the file.
+ */
+function parseIgnore(content) {
+  const rules = [];
+  for (let line of content.split(/\r?\n/)) {
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negated = false;
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.slice(1);
+    }
+    let directoryOnly = false;
+    if (line.endsWith('/')) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+    if (!line) continue;
+
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    const glob = line.replace(/[{},]/g, '\\$&');
+    rules.push({ negated, directoryOnly, regex: globToRegExp(anchored ? glob : `**/${glob}`) });
+  }
+  return rules;
+}
+
+// Globs of a `files.exclude` style setting that are switched on.
+function enabledGlobs(setting) {
+  if (!setting || typeof setting !== 'object') return [];
+  return Object.keys(setting).filter(glob => setting[glob] === true);
+}
+
+/**
+ * What to skip in one folder: `.gitignore` and `.todoignore` files at any
+ * depth plus plain globs such as VS Code's `files.exclude`. As in git, the
+ * last matching rule wins, deeper files override shallower ones, and a
+ * file inside an ignored folder cannot be re-included.
+ */
+class IgnoreRules {
+  constructor({ globs = [], fileNames = IGNORE_FILES } = {}) {
+    this.globs = globs;
+    this.fileNames = fileNames;
+    this.files = new Map();
+  }
+
+  setFile(relativePath, content) {
+    const posixPath = toPosixPath(relativePath);
+    const slash = posixPath.lastIndexOf('/');
+    const dir = slash === -1 ? '' : posixPath.slice(0, slash);
+    const name = posixPath.slice(slash + 1);
+    if (!this.files.has(dir)) this.files.set(dir, new Map());
+    this.files.get(dir).set(name, parseIgnore(content));
+  }
+
+  deleteFile(relativePath) {
+    const posixPath = toPosixPath(relativePath);
+    const slash = posixPath.lastIndexOf('/');
+    const dir = slash === -1 ? '' : posixPath.slice(0, slash);
+    const byName = this.files.get(dir);
+    if (!byName) return;
+    byName.delete(posixPath.slice(slash + 1));
+    if (byName.size === 0) this.files.delete(dir);
+  }
+
+  ignores(relativePath, isDirectory = false) {
+    const parts = toPosixPath(relativePath).split('/').filter(Boolean);
+    for (let i = 1; i <= parts.length; i++) {
+      if (this._matches(parts, i, i < parts.length || isDirectory)) return true;
+    }
+    return false;
+  }
+
+  _matches(parts, length, isDirectory) {
+    const relativePath = parts.slice(0, length).join('/');
+    if (this.globs.length > 0 && matchAny(relativePath, this.globs)) return true;
+
+    let ignored = false;
+    for (let depth = 0; depth < length; depth++) {
+      const dir = parts.slice(0, depth).join('/');
+      const byName = this.files.get(dir);
+      if (!byName) continue;
+      const rest = depth === 0 ? relativePath : relativePath.slice(dir.length + 1);
+      for (const name of this.fileNames) {
+        const rules = byName.get(name);
+        if (!rules) continue;
+        for (let r = 0; r < rules.length; r++) {
+          const rule = rules[r];
+          if (rule.directoryOnly && !isDirectory) continue;
+          if (rule.regex.test(rest)) ignored = !rule.negated;
+        }
+      }
+    }
+    return ignored;
+  }
+}
+
+module.exports = { IGNORE_FILES, IgnoreRules, enabledGlobs, parseIgnore };
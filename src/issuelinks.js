@@ -0,0 +1,138 @@
+const vscode = require('vscode');
+
+const compiled = new Map();
+
+/**
+ * Compiles the `codeTODO.issueLinks` setting, an object of regular
+ * expression to URL template such as `"JIRA-(\\d+)": "https://jira.example.com/browse/JIRA-$1"`.
+ * Invalid expressions are skipped.
+ */
+function compileIssueLinks(setting) {
+  const key = JSON.stringify(setting || {});
+  let patterns = compiled.get(key);
+  if (patterns) return patterns;
+
+  patterns = [];
+  if (setting && typeof setting === 'object') {
+    for (const [source, url] of Object.entries(setting)) {
+      if (typeof url !== 'string' || !url) continue;
+      try {
+        patterns.push({ regex: new RegExp(`(?<![\\w-])(?:${source})(?![\\w-])`, 'g'), url });
+      } catch {
+        // Ignore invalid patterns rather than failing every other link.
+      }
+    }
+  }
+  compiled.set(key, patterns);
+  return patterns;
+}
+
+function _expand(url, match) {
+  return url.replace(/\$(\d)/g, (_, n) => encodeURIComponent(match[Number(n)] || ''));
+}
+
+/**
+ * Finds the issue references in `text` and the URL of each. When patterns
+ * overlap, the one that starts first wins, then the one listed first.
+ */
+function findIssueLinks(text, patterns) {
+  const found = [];
+  for (let p = 0; p < patterns.length; p++) {
+    const { regex, url } = patterns[p];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text))) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      found.push({ start: match.index, end: match.index + match[0].length, reference: match[0], url: _expand(url, match), order: p });
+    }
+  }
+
+  found.sort((a, b) => (a.start - b.start) || (a.order - b.order));
+  const links = [];
+  let end = 0;
+  for (const link of found) {
+    if (link.start < end) continue;
+    links.push({ start: link.start, end: link.end, reference: link.reference, url: link.url });
+    end = link.end;
+  }
+  return links;
+}
+
+/**
+ * The issue links inside one TODO of `document`, from the tag to the end
+ * of its text, including continuation lines.
+ */
+function itemIssueLinks(document, item, patterns) {
+  const links = [];
+  if (patterns.length === 0) return links;
+  const endLine = Math.min(item.endLine ?? item.line, document.lineCount - 1);
+  for (let line = item.line; line <= endLine; line++) {
+    const text = document.lineAt(line).text;
+    const start = line === item.line ? item.column : 0;
+    const end = line === endLine && item.endColumn > start ? item.endColumn : text.length;
+    for (const link of findIssueLinks(text.slice(start, end), patterns)) {
+      links.push({
+        range: new vscode.Range(line, start + link.start, line, start + link.end),
+        reference: link.reference,
+        url: link.url,
+      });
+    }
+  }
+  return links;
+}
+
+// Characters that would end or break a Markdown link target.
+function _markdownUrl(url) {
+  return url.replace(/[\s()<>\\]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Document links and hovers for the issue references in TODO comments.
+ * The links of a document are kept until its version changes, so hovering
+ * does not parse it again.
+ */
+class IssueLinkProvider {
+  constructor(getItems) {
+    this.getItems = getItems;
+    this._cache = new WeakMap();
+  }
+
+  _patterns(document) {
+    return compileIssueLinks(vscode.workspace.getConfiguration('codeTODO', document.uri).get('issueLinks'));
+  }
+
+  _links(document) {
+    if (document.uri.scheme !== 'file') return [];
+    const patterns = this._patterns(document);
+    if (patterns.length === 0) return [];
+    const cached = this._cache.get(document);
+    if (cached && cached.version === document.version && cached.patterns === patterns) return cached.links;
+
+    const links = [];
+    for (const item of this.getItems(document)) links.push(...itemIssueLinks(document, item, patterns));
+    this._cache.set(document, { version: document.version, patterns, links });
+    return links;
+  }
+
+  provideDocumentLinks(document) {
+    return this._links(document).map(link => {
+      const documentLink = new vscode.DocumentLink(link.range, vscode.Uri.parse(link.url));
+      documentLink.tooltip = `Open ${link.reference}`;
+      return documentLink;
+    });
+  }
+
+  provideHover(document, position) {
+    const link = this._links(document).find(candidate => candidate.range.contains(position));
+    if (!link) return undefined;
+    const markdown = new vscode.MarkdownString('$(link-external) [', true);
+    markdown.appendText(`Open ${link.reference}`);
+    markdown.appendMarkdown(`](${_markdownUrl(link.url)})`);
+    return new vscode.Hover(markdown, link.range);
+  }
+}
+
+module.exports = { IssueLinkProvider, compileIssueLinks, findIssueLinks, itemIssueLinks };
@@ -0,0 +1,81 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITY_PATTERN = /^P\d$/i;
+const BRACKET_PRIORITY = /\[(P\d)\]/i;
+const BRACKET_DATE = /\[(\d{4}-\d{2}-\d{2})\]/;
+const MENTION_PATTERN = /(?:^|\s)@([\w.-]+)/;
+const QUALIFIER_ISSUE = /^(?:#\d+|[A-Z]{2}[A-Z0-9_]*-\d+)$/;
+const PROJECT_KEY = /^[A-Za-z][A-Za-z0-9_]*$/;
+const issuePatterns = new Map();
+
+const METADATA_FIELDS = ['assignee', 'priority', 'issue', 'due'];
+
+/**
+ * Issue references in TODO text: `#482`, and `PROJ-12` only for the project
+ * keys in `codeTODO.issueKeys`, since `UTF-8` or `SHA-256` look the same.
+ */
+function _issuePattern(issueKeys) {
+  const cacheKey = issueKeys.join(',');
+  if (!issuePatterns.has(cacheKey)) {
+    const keys = issueKeys.filter(key => PROJECT_KEY.test(key)).map(key => `${key}-\\d+`);
+    issuePatterns.set(cacheKey, new RegExp(`(?:^|[\\s(])(${['#\\d+', ...keys].join('|')})(?![A-Za-z0-9]|-\\d)`));
+  }
+  return issuePatterns.get(cacheKey);
+}
+
+/**
+ * Extracts structured metadata from the optional parenthesised part that
+ * follows a tag (`TODO(alice, P1, 2026-12-01)`, `TODO(PROJ-12)`) and from
+ * the item text (`[P1]`, `[2026-12-01]`, `@alice`, `#482`, and `PROJ-12`
+ * when `PROJ` is one of `issueKeys`).
+ */
+function parseMetadata(qualifier, text, issueKeys = []) {
+  const meta = { assignee: null, priority: null, issue: null, due: null };
+
+  if (qualifier) {
+    const parts = qualifier.split(',');
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i].trim();
+      if (!part) continue;
+      if (DATE_PATTERN.test(part)) {
+        meta.due = part;
+      } else if (PRIORITY_PATTERN.test(part)) {
+        meta.priority = part.toUpperCase();
+      } else if (QUALIFIER_ISSUE.test(part)) {
+        meta.issue = part;
+      } else if (!meta.assignee) {
+        meta.assignee = part.replace(/^@/, '');
+      }
+    }
+  }
+
+  if (!meta.priority) {
+    const priority = BRACKET_PRIORITY.exec(text);
+    if (priority) meta.priority = priority[1].toUpperCase();
+  }
+  if (!meta.due) {
+    const due = BRACKET_DATE.exec(text);
+    if (due) meta.due = due[1];
+  }
+  if (!meta.assignee) {
+    const mention = MENTION_PATTERN.exec(text);
+    if (mention) meta.assignee = mention[1];
+  }
+  if (!meta.issue) {
+    const issue = _issuePattern(issueKeys).exec(text);
+    if (issue) meta.issue = issue[1];
+  }
+
+  return meta;
+}
+
+function todayString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function isOverdue(item, today = todayString()) {
+  return !!item.due && item.due < today;
+}
+
+module.exports = { METADATA_FIELDS, parseMetadata, todayString, isOverdue };
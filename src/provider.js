@@ -0,0 +1,2173 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { matchAny } = require('./glob');
+const { METADATA_FIELDS, parseMetadata, todayString, isOverdue } = require('./metadata');
+const { BlameService, formatAge, MONTH_SECONDS } = require('./blame');
+const { REPORT_FORMATS, collectReportItems, renderReport } = require('./report');
+const { TodoDiagnostics } = require('./diagnostics');
+const { BranchDiff } = require('./branchdiff');
+const { ScanPool } = require('./scanpool');
+const { TodoCache } = require('./cache');
+const { IGNORE_FILES, IgnoreRules, enabledGlobs } = require('./ignore');
+const { CODEOWNERS_PATHS, CodeOwners, isOwner } = require('./codeowners');
+const { recordSnapshot, summarize, renderDashboard } = require('./dashboard');
+const { TagDecorations } = require('./decorations');
+const { TodoFileDecorations } = require('./filebadges');
+const { compileIssueLinks, itemIssueLinks } = require('./issuelinks');
+const { TodoApi } = require('./api');
+const { languageEncodings } = require('./encoding');
+const { MARK_DONE_MODES, removalRange, markdownLink } = require('./actions');
+const {
+  DEFAULT_INCLUDES,
+  DEFAULT_EXCLUDES,
+  DEFAULT_TAGS,
+  DEFAULT_MAX_FILE_SIZE,
+  TodoItem,
+  TodoParser,
+  shouldProcessFile,
+} = require('./scanner');
+
+const CACHE_VERSION = 54;
+const LEGACY_CACHE_KEY = /^todoCache_v(\d+)$/;
+
+const GROUPINGS = {
+  tag: { label: 'Tag', key: item => item.tag },
+  assignee: { label: 'Assignee', key: item => item.assignee || '', empty: 'Unassigned', icon: 'person' },
+  priority: { label: 'Priority', key: item => item.priority || '', empty: 'No priority', icon: 'flame' },
+  issue: { label: 'Issue', key: item => item.issue || '', empty: 'No issue', icon: 'issues' },
+  owner: { label: 'Owner', key: (item, owners) => owners, empty: 'No owner', icon: 'organization' },
+};
+
+const VIEW_MODES = {
+  tag: { label: 'Grouped', detail: 'Group, then folder and file' },
+  folder: { label: 'By Folder', detail: 'Folder and file tree with all tags' },
+  file: { label: 'By File', detail: 'One node per file' },
+  flat: { label: 'Flat', detail: 'Every TODO in a single list, in file order' },
+  currentFile: { label: 'Current File', detail: 'Only the TODOs of the active editor' },
+};
+
+let todoConfig = {
+  tags: DEFAULT_TAGS,
+  tagSet: new Set(DEFAULT_TAGS),
+  blameEnabled: true,
+  compactFolders: true,
+  markDone: 'remove',
+  baseRef: 'main',
+};
+
+function readScanConfig(config) {
+  const tags = config.get('tags');
+  const include = config.get('include');
+  const exclude = config.get('exclude');
+  const issueKeys = config.get('issueKeys');
+  return {
+    tags: Array.isArray(tags) && tags.length > 0 ? tags : DEFAULT_TAGS,
+    include: Array.isArray(include) && include.length > 0 ? include : DEFAULT_INCLUDES,
+    exclude: Array.isArray(exclude) ? exclude : DEFAULT_EXCLUDES,
+    maxFileSize: config.get('maxFileSize', DEFAULT_MAX_FILE_SIZE),
+    caseSensitive: config.get('caseSensitive', true),
+    requireColon: config.get('requireColon', false),
+    issueKeys: Array.isArray(issueKeys) ? issueKeys : [],
+    gitignore: config.get('ignore.gitignore', true),
+    excludeSettings: config.get('ignore.excludeSettings', true),
+  };
+}
+
+function readEncodingConfig(uri) {
+  const encoding = vscode.workspace.getConfiguration('files', uri).get('encoding', 'utf8');
+  return {
+    encoding,
+    encodingByExtension: languageEncodings(encoding, languageId =>
+      vscode.workspace.getConfiguration('files', { uri, languageId }).get('encoding')),
+  };
+}
+
+// Globs with braces cannot be nested in the `{a,b}` query, so they are left
+// out of it; _isTracked still matches every exclude glob, braces included.
+// null rather than undefined, which findFiles reads as "apply files.exclude".
+function _excludeQuery(globs) {
+  const simple = globs.filter(glob => !/[{}]/.test(glob));
+  return simple.length > 0 ? `{${simple.join(',')}}` : null;
+}
+
+// Settings whose change alters what a scan finds, so the cache is dropped
+// and the workspace is scanned again.
+const SCAN_SETTINGS = [
+  'codeTODO.tags',
+  'codeTODO.include',
+  'codeTODO.exclude',
+  'codeTODO.maxFileSize',
+  'codeTODO.caseSensitive',
+  'codeTODO.requireColon',
+  'codeTODO.issueKeys',
+  'codeTODO.ignore',
+  'files.encoding',
+  'files.exclude',
+  'search.exclude',
+];
+
+const BLAME_BATCH_SIZE = 4;
+const SCAN_PROGRESS_DELAY = 1000;
+const AGE_FILTERS = [1, 3, 6, 12, 24];
+
+class TodoTreeProvider {
+  constructor(context) {
+    this.context = context;
+    this.cache = new TodoCache(
+      context.storageUri ? path.join(context.storageUri.fsPath, 'cache') : null,
+      { version: CACHE_VERSION }
+    );
+    this.fileMap = new Map();
+    this._cacheReady = false;
+    this._scan = null;
+    this.docTimers = new Map();
+    this.updateTimers = new Map();
+    this._fileWatchers = [];
+    this.cachedTree = [];
+    this.treeNeedsRebuild = true;
+    this._groupStructures = new Map();
+    this._rootTotals = new Map();
+    this.roots = [];
+    this._rootsBySpecificity = [];
+    this.refreshTimer = null;
+    this.saveCacheTimer = null;
+    this.totalsByTag = {};
+    this.totalTodos = 0;
+    this.suppressedCounts = new Map();
+    // Lines of every scanned file, for the density on the dashboard.
+    this.lineCounts = new Map();
+    this.tagParsers = [];
+    this.groupBy = context.workspaceState.get('codeTODO.groupBy', 'tag');
+    this.sortBy = context.workspaceState.get('codeTODO.sortBy', 'position');
+    this.viewMode = context.workspaceState.get('codeTODO.viewMode', 'tag');
+    if (!VIEW_MODES[this.viewMode]) this.viewMode = 'tag';
+    vscode.commands.executeCommand('setContext', 'codeTODO.viewMode', this.viewMode);
+    this.metadataFilter = null;
+    this.textFilter = '';
+    this.hiddenTags = new Set();
+    this.pathFilter = '';
+    this.treeView = null;
+    this.branchDiffEnabled = context.workspaceState.get('codeTODO.branchDiff', false);
+    this.branchDiff = null;
+    this._branchDiffTimer = null;
+    this.dashboard = null;
+    this.blame = new BlameService();
+    this._blameQueue = new Set();
+    this._blameRunning = false;
+
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+    this.parser = new TodoParser(todoConfig.tags);
+    this.scanConfig = null;
+
+    this.decorations = new TagDecorations(context);
+    context.subscriptions.push(this.decorations);
+
+    this.diagnostics = new TodoDiagnostics();
+    context.subscriptions.push(this.diagnostics);
+
+    this.fileDecorations = new TodoFileDecorations();
+    context.subscriptions.push(
+      this.fileDecorations,
+      vscode.window.registerFileDecorationProvider(this.fileDecorations)
+    );
+
+    this.api = new TodoApi(this);
+    context.subscriptions.push(this.api);
+
+    this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 0);
+    this.statusBarItem.command = 'codeTODO.refresh';
+    this.statusBarItem.tooltip = 'Code TODO - Click to refresh';
+    context.subscriptions.push(this.statusBarItem);
+    context.subscriptions.push({ dispose: () => this._cancelScan() });
+
+    /** Settles once the cache is loaded and the first scan has finished. */
+    this.ready = this._initialize();
+  }
+
+  async _initialize() {
+    this._loadConfig();
+    await this._loadIgnoreFiles();
+    await this._loadCodeowners();
+    await this._loadCacheAsync();
+    this._cacheReady = true;
+    this.diagnostics.refreshAll(this.fileMap);
+    this._applyHighlightsToVisibleEditors();
+    if (this.fileMap.size > 0) {
+      this.treeNeedsRebuild = true;
+      this._debouncedRefresh();
+    }
+    this._setupWatchers();
+    await this.startScan();
+  }
+
+  _loadConfig() {
+    try {
+      const config = vscode.workspace.getConfiguration('codeTODO');
+      if (config) {
+        this.scanConfig = { ...readScanConfig(config), ...readEncodingConfig() };
+        this.parser = this._createParser(this.scanConfig);
+        todoConfig.blameEnabled = config.get('blame.enabled', true);
+        todoConfig.compactFolders = config.get('compactFolders', true);
+        todoConfig.baseRef = config.get('branchDiff.baseRef', 'main') || 'main';
+        todoConfig.markDone = MARK_DONE_MODES.includes(config.get('markDone')) ? config.get('markDone') : 'remove';
+        this.diagnostics.loadConfig(config);
+      }
+    } catch (e) { }
+    this._loadRoots();
+    this.fileDecorations.loadConfig(
+      vscode.workspace.getConfiguration('codeTODO'),
+      todoConfig.tags,
+      this.roots.map(root => root.path)
+    );
+  }
+
+  _createParser(scanConfig) {
+    return new TodoParser(scanConfig.tags, {
+      caseSensitive: scanConfig.caseSensitive,
+      requireColon: scanConfig.requireColon,
+      issueKeys: scanConfig.issueKeys,
+      encoding: scanConfig.encoding,
+      encodingByExtension: scanConfig.encodingByExtension,
+    });
+  }
+
+  _loadRoots() {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const previous = new Map(this.roots.map(root => [root.path, root]));
+    this.roots = folders.map(folder => {
+      const scanConfig = {
+        ...readScanConfig(vscode.workspace.getConfiguration('codeTODO', folder.uri)),
+        ...readEncodingConfig(folder.uri),
+      };
+      const old = previous.get(folder.uri.fsPath);
+      const ignore = old ? old.ignore : new IgnoreRules();
+      ignore.globs = scanConfig.excludeSettings ? [
+        ...enabledGlobs(vscode.workspace.getConfiguration('files', folder.uri).get('exclude')),
+        ...enabledGlobs(vscode.workspace.getConfiguration('search', folder.uri).get('exclude')),
+      ] : [];
+      ignore.fileNames = scanConfig.gitignore ? IGNORE_FILES : ['.todoignore'];
+      return {
+        folder,
+        name: folder.name,
+        path: folder.uri.fsPath,
+        ...scanConfig,
+        parser: this._createParser(scanConfig),
+        ignore,
+        ignoreLoaded: old ? old.ignoreLoaded : false,
+        owners: old ? old.owners : new CodeOwners(),
+        ownersLoaded: old ? old.ownersLoaded : false,
+      };
+    });
+    this._rootsBySpecificity = [...this.roots].sort((a, b) => b.path.length - a.path.length);
+
+    const tags = [...this.scanConfig.tags];
+    for (const source of [...this.roots, ...this.tagParsers]) {
+      for (const tag of source.tags) {
+        if (!tags.includes(tag)) tags.push(tag);
+      }
+    }
+    todoConfig.tags = tags;
+    todoConfig.tagSet = new Set(tags);
+    this.decorations.load(tags, vscode.workspace.getConfiguration('codeTODO').get('tagStyles', {}));
+  }
+
+  _parserFor(filePath) {
+    const root = this._getRoot(filePath);
+    return root ? root.parser : this.parser;
+  }
+
+  _getRoot(filePath) {
+    for (let i = 0; i < this._rootsBySpecificity.length; i++) {
+      const root = this._rootsBySpecificity[i];
+      if (filePath === root.path || filePath.startsWith(root.path + path.sep)) return root;
+    }
+    return null;
+  }
+
+  _isTracked(filePath) {
+    const root = this._getRoot(filePath);
+    if (!root) return false;
+    const relativePath = path.relative(root.path, filePath);
+    return matchAny(relativePath, root.include) &&
+      !matchAny(relativePath, root.exclude) &&
+      !root.ignore.ignores(relativePath);
+  }
+
+  async _loadIgnoreFiles(token) {
+    for (const root of this.roots) {
+      if (root.ignoreLoaded) continue;
+      const uris = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(root.folder, `**/{${IGNORE_FILES.join(',')}}`),
+        _excludeQuery(root.exclude),
+        undefined,
+        token
+      );
+      await Promise.all(uris.map(async uri => {
+        try {
+          root.ignore.setFile(path.relative(root.path, uri.fsPath), await fs.readFile(uri.fsPath, 'utf8'));
+        } catch {
+          // Deleted since the search; the watcher handles it.
+        }
+      }));
+      if (token && token.isCancellationRequested) return;
+      root.ignoreLoaded = true;
+    }
+  }
+
+  async _loadCodeowners(roots = this.roots.filter(root => !root.ownersLoaded)) {
+    if (roots.length === 0) return;
+    await Promise.all(roots.map(async root => {
+      root.owners = await CodeOwners.load(root.path);
+      root.ownersLoaded = true;
+    }));
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  _isCodeownersFile(filePath) {
+    const root = this._getRoot(filePath);
+    return !!root && CODEOWNERS_PATHS.includes(path.relative(root.path, filePath).split(path.sep).join('/'));
+  }
+
+  _ownersOf(filePath) {
+    const root = this._getRoot(filePath);
+    return root ? root.owners.ownersOf(path.relative(root.path, filePath)) : [];
+  }
+
+  _isIgnoreFile(filePath) {
+    return IGNORE_FILES.includes(path.basename(filePath));
+  }
+
+  async _handleIgnoreFileChange(filePath) {
+    const root = this._getRoot(filePath);
+    if (!root) return;
+    const relativePath = path.relative(root.path, filePath);
+    if (matchAny(relativePath, root.exclude)) return;
+
+    try {
+      root.ignore.setFile(relativePath, await fs.readFile(filePath, 'utf8'));
+    } catch {
+      root.ignore.deleteFile(relativePath);
+    }
+
+    if (this._ignoreTimer) clearTimeout(this._ignoreTimer);
+    this._ignoreTimer = setTimeout(() => {
+      this._ignoreTimer = null;
+      this._pruneUntracked();
+      this.treeNeedsRebuild = true;
+      this._debouncedRefresh();
+      this.startScan();
+    }, 500);
+  }
+
+  _pruneUntracked() {
+    for (const filePath of [...this.cache.keys()]) {
+      if (!this._isTracked(filePath)) this.cache.delete(filePath);
+    }
+    for (const filePath of [...this.fileMap.keys()]) {
+      if (!this._isTracked(filePath)) this.fileMap.delete(filePath);
+    }
+    for (const filePath of [...this.suppressedCounts.keys()]) {
+      if (!this._isTracked(filePath)) this.suppressedCounts.delete(filePath);
+    }
+    for (const filePath of [...this.lineCounts.keys()]) {
+      if (!this._isTracked(filePath)) this.lineCounts.delete(filePath);
+    }
+    this._updateStats();
+    this.diagnostics.refreshAll(this.fileMap);
+  }
+
+  async _loadCacheAsync() {
+    try {
+      if (!await this.cache.load()) await this._migrateLegacyCache();
+
+      for (const filePath of [...this.cache.keys()]) {
+        if (!this._isTracked(filePath)) {
+          this.cache.delete(filePath);
+          continue;
+        }
+        const entry = this.cache.get(filePath);
+        const items = this._activeItems(entry.items);
+        if (items.length > 0) this.fileMap.set(filePath, items);
+        if (entry.suppressed) this.suppressedCounts.set(filePath, entry.suppressed);
+        if (entry.lines) this.lineCounts.set(filePath, entry.lines);
+      }
+
+      this._updateStats();
+    } catch (error) {
+      console.error('Cache load failed:', error);
+    }
+  }
+
+  // Moves this workspace's entries out of the cache that older versions
+  // kept in globalState for every workspace, newest version first.
+  async _migrateLegacyCache() {
+    const state = this.context.globalState;
+    const keys = state.keys()
+      .map(key => LEGACY_CACHE_KEY.exec(key))
+      .filter(Boolean)
+      .sort((a, b) => Number(b[1]) - Number(a[1]));
+
+    for (const [key, version] of keys) {
+      const data = { ...state.get(key) };
+      const mine = Object.entries(data).filter(([filePath]) => this._getRoot(filePath));
+      if (mine.length === 0) continue;
+      this.cache.import(mine, Number(version));
+      for (const [filePath] of mine) delete data[filePath];
+      await state.update(key, Object.keys(data).length > 0 ? data : undefined);
+    }
+  }
+
+  async startScan() {
+    this._cancelScan();
+    const scan = {
+      tokenSource: new vscode.CancellationTokenSource(),
+      pool: null,
+      progress: null,
+      total: 0,
+      processed: 0,
+      reported: 0,
+    };
+    scan.done = new Promise(resolve => { scan.finish = resolve; });
+    this._scan = scan;
+    const token = scan.tokenSource.token;
+    let updated = false;
+    let completed = false;
+    const seen = new Set();
+
+    try {
+      await this._loadIgnoreFiles(token);
+      const groups = new Map();
+      for (const root of this.roots) {
+        const exclude = _excludeQuery(root.exclude);
+        for (const include of root.include) {
+          const uris = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(root.folder, include),
+            exclude,
+            undefined,
+            token
+          );
+          if (token.isCancellationRequested) return;
+          for (let i = 0; i < uris.length; i++) {
+            const filePath = uris[i].fsPath;
+            if (seen.has(filePath) || !shouldProcessFile(filePath) || !this._isTracked(filePath)) continue;
+            seen.add(filePath);
+            const owner = this._getRoot(filePath) || root;
+            if (!groups.has(owner)) groups.set(owner, []);
+            const cached = this.cache.get(filePath);
+            groups.get(owner).push({ filePath, mtime: cached && cached.mtime, size: cached && cached.size });
+          }
+        }
+      }
+
+      scan.total = seen.size;
+      scan.progressTimer = setTimeout(() => this._showScanProgress(scan), SCAN_PROGRESS_DELAY);
+
+      const pending = new Map([...groups].flatMap(([root, files]) => files.map(file => [file.filePath, { root, file }])));
+      // Files the workers parsed wait for the tag parsers, which only run here.
+      const withoutTagParsers = new Map();
+      const apply = results => {
+        if (token.isCancellationRequested) return;
+        for (const result of results) {
+          pending.delete(result.filePath);
+          if (result.status === 'parsed' && !result.tagParsers && this._tagParsersFor(result.filePath).length > 0) {
+            withoutTagParsers.set(result.filePath, result);
+          } else if (this._applyScanResult(result)) {
+            updated = true;
+          }
+        }
+        this._reportScanProgress(scan, results.length);
+      };
+
+      try {
+        scan.pool = new ScanPool();
+        completed = await scan.pool.run(
+          [...groups].map(([root, files]) => ({ options: this._scanOptions(root), files })),
+          apply
+        );
+      } catch (error) {
+        if (token.isCancellationRequested) return;
+        console.error('Scan workers failed, scanning on the extension host:', error);
+        completed = await this._scanInHost([...pending.values()], token, apply);
+      }
+
+      if (this.tagParsers.length > 0 && !token.isCancellationRequested) {
+        if (await this._runTagParsers([...seen], token, withoutTagParsers)) updated = true;
+        completed = completed && !token.isCancellationRequested;
+      }
+    } catch (error) {
+      console.error('Scan failed:', error);
+    } finally {
+      clearTimeout(scan.progressTimer);
+      scan.finish();
+      scan.tokenSource.dispose();
+      if (this._scan === scan) this._scan = null;
+      await this._finishScan(updated, completed, seen);
+    }
+  }
+
+  async _finishScan(updated, completed, seen) {
+    try {
+      if (completed && this._pruneMissing(seen)) updated = true;
+      await this._saveCache();
+      this._updateStats();
+      this._applyHighlightsToActiveEditor();
+
+      if (updated || this.treeNeedsRebuild) {
+        this.treeNeedsRebuild = true;
+        this._debouncedRefresh();
+      }
+
+      if (!completed) return;
+      this._recordHistory();
+      this._queueBlame(this.fileMap.keys());
+      if (this.branchDiffEnabled) await this._loadBranchDiff();
+    } catch (error) {
+      console.error('Scan failed:', error);
+    }
+  }
+
+  // Drops cache entries of files the last full scan no longer found,
+  // such as files deleted while VS Code was closed.
+  _pruneMissing(seen) {
+    let pruned = false;
+    for (const filePath of [...this.cache.keys()]) {
+      if (seen.has(filePath)) continue;
+      this._handleFileDelete(filePath);
+      this.cache.delete(filePath);
+      pruned = true;
+    }
+    return pruned;
+  }
+
+  _cancelScan(scan = this._scan) {
+    if (!scan || scan !== this._scan) return;
+    this._scan = null;
+    scan.tokenSource.cancel();
+    if (scan.pool) scan.pool.dispose();
+  }
+
+  _showScanProgress(scan) {
+    if (this._scan !== scan) return;
+    vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: 'Scanning for TODOs',
+      cancellable: true
+    }, (progress, token) => {
+      token.onCancellationRequested(() => this._cancelScan(scan));
+      scan.progress = progress;
+      this._reportScanProgress(scan, 0);
+      return scan.done;
+    });
+  }
+
+  _reportScanProgress(scan, count) {
+    scan.processed += count;
+    if (!scan.progress || scan.total === 0) return;
+    const percent = Math.floor((scan.processed / scan.total) * 100);
+    scan.progress.report({
+      increment: percent - scan.reported,
+      message: `${scan.processed}/${scan.total} files`
+    });
+    scan.reported = percent;
+  }
+
+  _scanOptions(root) {
+    return {
+      tags: root.tags,
+      caseSensitive: root.caseSensitive,
+      requireColon: root.requireColon,
+      issueKeys: root.issueKeys,
+      maxFileSize: root.maxFileSize,
+      encoding: root.encoding,
+      encodingByExtension: root.encodingByExtension
+    };
+  }
+
+  _applyScanResult(result) {
+    switch (result.status) {
+      case 'parsed':
+        this._applyParsed(result.filePath, result, result.items);
+        return true;
+      case 'deleted':
+        this._handleFileDelete(result.filePath);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  async _scanInHost(entries, token, apply) {
+    const BATCH_SIZE = 50;
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      if (token.isCancellationRequested) return false;
+      const batch = entries.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(batch.map(async ({ root, file }) => {
+        try {
+          const stats = await fs.stat(file.filePath);
+          if (stats.mtimeMs === file.mtime && stats.size === file.size) return { filePath: file.filePath, status: 'unchanged' };
+          if (stats.size > root.maxFileSize) return { filePath: file.filePath, status: 'skipped' };
+          const suppressed = [];
+          const info = {};
+          const items = await this._parseFile(file.filePath, suppressed, root.parser, info);
+          return {
+            filePath: file.filePath, status: 'parsed', mtime: stats.mtimeMs, size: stats.size,
+            items, suppressed: suppressed.length, lines: info.lines,
+            tagParsers: this._tagParsersFor(file.filePath).map(tagParser => tagParser.id)
+          };
+        } catch (error) {
+          return { filePath: file.filePath, status: error.code === 'ENOENT' ? 'deleted' : 'failed' };
+        }
+      }));
+      apply(results);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return !token.isCancellationRequested;
+  }
+
+  async _processFile(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      const root = this._getRoot(filePath);
+      if (stats.size > (root ? root.maxFileSize : this.scanConfig.maxFileSize)) return false;
+
+      const suppressed = [];
+      const info = {};
+      const items = await this._parseFile(filePath, suppressed, undefined, info);
+      return this._applyParsed(filePath, {
+        mtime: stats.mtimeMs,
+        size: stats.size,
+        suppressed: suppressed.length,
+        lines: info.lines,
+        tagParsers: this._tagParsersFor(filePath).map(tagParser => tagParser.id),
+      }, items);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this._handleFileDelete(filePath);
+      }
+      return false;
+    }
+  }
+
+  async _parseFile(filePath, suppressed, parser = this._parserFor(filePath), info = {}) {
+    const tagParsers = this._tagParsersFor(filePath);
+    if (tagParsers.length === 0) return parser.parseFile(filePath, suppressed, info);
+    const content = await parser.readFile(filePath);
+    if (content === null) return [];
+    return this._addTagParserItems(parser.parseContent(content, filePath, suppressed, info), content, filePath, tagParsers);
+  }
+
+  _parseContent(content, filePath, suppressed) {
+    const items = this._parserFor(filePath).parseContent(content, filePath, suppressed);
+    const tagParsers = this._tagParsersFor(filePath);
+    return tagParsers.length === 0 ? items : this._addTagParserItems(items, content, filePath, tagParsers);
+  }
+
+  _tagParsersFor(filePath) {
+    if (this.tagParsers.length === 0) return this.tagParsers;
+    const root = this._getRoot(filePath);
+    const relativePath = root ? path.relative(root.path, filePath) : path.basename(filePath);
+    return this.tagParsers.filter(tagParser => !tagParser.include || matchAny(relativePath, tagParser.include));
+  }
+
+  // Cached items can come from tag parsers that are not registered (yet).
+  _activeItems(items) {
+    if (!items.some(item => item.source)) return items;
+    const ids = new Set(this.tagParsers.map(tagParser => tagParser.id));
+    return items.filter(item => !item.source || ids.has(item.source));
+  }
+
+  /**
+   * Runs the tag parsers on the files the workers just parsed (`parsed`,
+   * by path) and on the cached files a parser has not seen yet. Their items
+   * are cached with the built-in ones, so unchanged files skip this next time.
+   */
+  async _runTagParsers(filePaths, token, parsed = new Map()) {
+    const BATCH_SIZE = 50;
+    const pending = filePaths.filter(filePath => parsed.has(filePath) || this._missingTagParsers(filePath).length > 0);
+    let updated = false;
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      if (token.isCancellationRequested) return updated;
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(batch.map(filePath => this._applyTagParsers(filePath, parsed.get(filePath))));
+      if (results.includes(true)) updated = true;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return updated;
+  }
+
+  _missingTagParsers(filePath, entry = this.cache.get(filePath)) {
+    if (!entry) return [];
+    const ran = entry.tagParsers || [];
+    return this._tagParsersFor(filePath).filter(tagParser => !ran.includes(tagParser.id));
+  }
+
+  async _applyTagParsers(filePath, result) {
+    const entry = this.cache.get(filePath);
+    const tagParsers = result ? this._tagParsersFor(filePath) : this._missingTagParsers(filePath, entry);
+    const ids = tagParsers.map(tagParser => tagParser.id);
+    try {
+      const stats = await fs.stat(filePath);
+      if (!result && (stats.mtimeMs !== entry.mtime || stats.size !== entry.size)) return false;
+      const content = await this._parserFor(filePath).readFile(filePath);
+      let items = result ? result.items : entry.items.filter(item => !ids.includes(item.source));
+      if (content !== null) items = this._addTagParserItems([...items], content, filePath, tagParsers);
+      return this._applyParsed(filePath, {
+        mtime: stats.mtimeMs,
+        size: stats.size,
+        lines: result ? result.lines : entry.lines,
+        suppressed: result ? result.suppressed : entry.suppressed,
+        tagParsers: result ? ids : [...(entry.tagParsers || []), ...ids],
+      }, items);
+    } catch (error) {
+      if (error.code === 'ENOENT') this._handleFileDelete(filePath);
+      return false;
+    }
+  }
+
+  _addTagParserItems(items, content, filePath, tagParsers) {
+    const root = this._getRoot(filePath);
+    const issueKeys = root ? root.issueKeys : [];
+    let added = false;
+    for (const tagParser of tagParsers) {
+      let matches;
+      try {
+        matches = tagParser.parse(content, filePath);
+      } catch (error) {
+        console.error(`Tag parser ${tagParser.id} failed on ${filePath}:`, error);
+        continue;
+      }
+      if (!Array.isArray(matches)) continue;
+      for (const match of matches) {
+        if (!match || typeof match.tag !== 'string' || !match.tag || !Number.isInteger(match.line) || match.line < 0) continue;
+        const text = typeof match.text === 'string' ? match.text : '';
+        const item = new TodoItem(match.tag, text, match.line, match.column || 0, filePath, parseMetadata(null, text, issueKeys));
+        if (match.endColumn > item.endColumn) item.endColumn = match.endColumn;
+        item.source = tagParser.id;
+        items.push(item);
+        added = true;
+      }
+    }
+    if (added) items.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+    return items;
+  }
+
+  registerTagParser(tagParser) {
+    this.tagParsers.push(tagParser);
+    this._tagParsersChanged();
+    return new vscode.Disposable(() => {
+      const index = this.tagParsers.indexOf(tagParser);
+      if (index === -1) return;
+      this.tagParsers.splice(index, 1);
+      this._tagParsersChanged();
+    });
+  }
+
+  // Cached items of a removed parser drop out and those of a parser seen
+  // before come back; the scan then runs new parsers on the files they
+  // have not seen.
+  _tagParsersChanged() {
+    this._loadConfig();
+    this._applyHighlightsToVisibleEditors();
+    for (const filePath of this.cache.keys()) {
+      const items = this._activeItems(this.cache.get(filePath).items);
+      if (items.length !== (this.fileMap.get(filePath) || []).length) this._updateFileMap(filePath, items);
+    }
+    this.treeNeedsRebuild = true;
+    if (this._cacheReady) this.startScan();
+  }
+
+  _applyParsed(filePath, { mtime, size, lines, suppressed = 0, tagParsers = [] }, items) {
+    const changed = this._updateFileMap(filePath, this._activeItems(items));
+    this._setSuppressed(filePath, suppressed);
+    if (lines !== undefined) this.lineCounts.set(filePath, lines);
+    const cached = this.cache.get(filePath);
+    const stale = !cached || cached.mtime !== mtime || cached.size !== size;
+
+    if (changed || (stale && (items.length > 0 || suppressed > 0 || tagParsers.length > 0)) ||
+      (cached && ((cached.suppressed || 0) !== suppressed || String(cached.tagParsers || []) !== String(tagParsers)))) {
+      const entry = { mtime, size, lines, items };
+      if (suppressed > 0) entry.suppressed = suppressed;
+      if (tagParsers.length > 0) entry.tagParsers = tagParsers;
+      this.cache.set(filePath, entry);
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document.uri.fsPath === filePath) {
+      this._applyHighlights(editor);
+    }
+
+    return changed;
+  }
+
+  _updateFileMap(filePath, items) {
+    const oldItems = this.fileMap.get(filePath);
+    if (oldItems) this._carryOverBlame(oldItems, items);
+    const changed = this._itemsChanged(oldItems, items);
+
+    if (items.length > 0) {
+      this.fileMap.set(filePath, items);
+    } else {
+      this.fileMap.delete(filePath);
+    }
+
+    if (changed) {
+      this.treeNeedsRebuild = true;
+      this._updateStatsIncremental(oldItems || [], items);
+      this.fileDecorations.update(filePath, oldItems || [], items);
+      this.api.changed(filePath);
+    }
+    this.diagnostics.update(filePath, items);
+
+    return changed;
+  }
+
+  _carryOverBlame(oldItems, newItems) {
+    const byText = new Map();
+    for (let i = 0; i < oldItems.length; i++) {
+      if (oldItems[i].author) byText.set(`${oldItems[i].tag}\0${oldItems[i].text}`, oldItems[i]);
+    }
+    if (byText.size === 0) return;
+    for (let i = 0; i < newItems.length; i++) {
+      const previous = byText.get(`${newItems[i].tag}\0${newItems[i].text}`);
+      if (previous && !newItems[i].author) {
+        newItems[i].author = previous.author;
+        newItems[i].authorTime = previous.authorTime;
+      }
+    }
+  }
+
+  _queueBlame(filePaths) {
+    if (!todoConfig.blameEnabled || !this.blame.available) return;
+    for (const filePath of filePaths) this._blameQueue.add(filePath);
+    if (!this._blameRunning && this._blameQueue.size > 0) this._runBlameQueue();
+  }
+
+  async _runBlameQueue() {
+    this._blameRunning = true;
+    this.blame.resetHeads();
+    let updated = false;
+    try {
+      while (this._blameQueue.size > 0 && this.blame.available) {
+        const batch = [...this._blameQueue].slice(0, BLAME_BATCH_SIZE);
+        for (let i = 0; i < batch.length; i++) this._blameQueue.delete(batch[i]);
+        const results = await Promise.all(batch.map(filePath => this._blameFile(filePath)));
+        for (let i = 0; i < batch.length; i++) {
+          if (!results[i]) continue;
+          updated = true;
+          // Blame fills in the items in place, so the API cannot tell they changed.
+          this.api.changed(batch[i], true);
+        }
+      }
+    } catch (error) {
+      console.error('Blame failed:', error);
+    } finally {
+      this._blameRunning = false;
+    }
+
+    if (updated) {
+      this.treeNeedsRebuild = true;
+      this._debouncedRefresh();
+      this._debouncedSaveCache();
+      this._renderDashboard();
+    }
+  }
+
+  async _blameFile(filePath) {
+    const entry = this.cache.get(filePath);
+    if (!entry || !entry.items || entry.items.length === 0) return false;
+
+    const head = await this.blame.getHead(filePath);
+    if ('blameHead' in entry && (entry.blameHead === head || !entry.blameUncommitted)) return false;
+
+    const lines = entry.items.map(item => item.line);
+    const blame = await this.blame.blameLines(filePath, lines);
+    entry.blameHead = head;
+    // A failed blame (untracked file, git error) is retried once HEAD
+    // moves, like one with uncommitted lines.
+    entry.blameUncommitted = !blame;
+    this.cache.touch(filePath);
+    if (!blame) return false;
+
+    for (let i = 0; i < entry.items.length; i++) {
+      const item = entry.items[i];
+      const info = blame.get(item.line);
+      if (!info) continue;
+      item.author = info.author;
+      item.authorTime = info.authorTime;
+      if (info.uncommitted) entry.blameUncommitted = true;
+    }
+    return true;
+  }
+
+  _itemsChanged(oldItems, newItems) {
+    if (!oldItems && (!newItems || newItems.length === 0)) return false;
+    if (!oldItems || !newItems) return true;
+    if (oldItems.length !== newItems.length) return true;
+    for (let i = 0; i < oldItems.length; i++) {
+      if (oldItems[i].line !== newItems[i].line ||
+          oldItems[i].endLine !== newItems[i].endLine ||
+          oldItems[i].tag !== newItems[i].tag ||
+          oldItems[i].text !== newItems[i].text) {
+        return true;
+      }
+      for (let f = 0; f < METADATA_FIELDS.length; f++) {
+        const field = METADATA_FIELDS[f];
+        if (oldItems[i][field] !== newItems[i][field]) return true;
+      }
+    }
+    return false;
+  }
+
+  _setupWatchers() {
+    const ruleWatcher = vscode.workspace.createFileSystemWatcher(`**/{${[...IGNORE_FILES, 'CODEOWNERS'].join(',')}}`);
+    this._watchFiles();
+
+    this.context.subscriptions.push(
+      ruleWatcher,
+      ruleWatcher.onDidChange(uri => this._handleFileChange(uri.fsPath)),
+      ruleWatcher.onDidCreate(uri => this._handleFileChange(uri.fsPath)),
+      ruleWatcher.onDidDelete(uri => {
+        if (this._isIgnoreFile(uri.fsPath)) this._handleIgnoreFileChange(uri.fsPath);
+        else if (this._isCodeownersFile(uri.fsPath)) this._loadCodeowners([this._getRoot(uri.fsPath)]);
+      }),
+      { dispose: () => this._fileWatchers.forEach(disposable => disposable.dispose()) },
+
+      vscode.window.onDidChangeActiveTextEditor(editor => {
+        if (editor) this._applyHighlights(editor);
+        if (this.viewMode === 'currentFile') this._debouncedRefresh();
+      }),
+
+      vscode.workspace.onDidChangeTextDocument(event => {
+        this._handleDocumentChange(event.document);
+      }),
+
+      vscode.workspace.onDidSaveTextDocument(document => {
+        this._handleDocumentSave(document);
+      }),
+
+      vscode.workspace.onDidOpenTextDocument(document => {
+        this.diagnostics.didOpen(document.uri.fsPath, this.fileMap.get(document.uri.fsPath));
+      }),
+
+      vscode.workspace.onDidCloseTextDocument(document => {
+        this.diagnostics.didClose(document.uri.fsPath);
+      }),
+
+      vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        this._loadConfig();
+        this._watchFiles();
+        this._loadCodeowners();
+        this._pruneUntracked();
+        this.treeNeedsRebuild = true;
+        this._debouncedRefresh();
+        this.startScan();
+      }),
+
+      vscode.workspace.onDidChangeConfiguration(e => {
+        if (SCAN_SETTINGS.some(section => e.affectsConfiguration(section))) {
+          this._loadConfig();
+          this._watchFiles();
+          this._applyHighlightsToVisibleEditors();
+          this.fileMap.clear();
+          this.suppressedCounts.clear();
+          this.lineCounts.clear();
+          this.cache.clear();
+          this.diagnostics.refreshAll(this.fileMap);
+          this.treeNeedsRebuild = true;
+          this.startScan();
+        } else if (e.affectsConfiguration('codeTODO')) {
+          this._displayConfigChanged(e);
+        }
+      })
+    );
+  }
+
+  // Watches the include globs of each folder (by default every supported
+  // extension) rather than the whole workspace, so node_modules and build
+  // output only cost a watcher when they hold files that are scanned.
+  _watchFiles() {
+    this._fileWatchers.forEach(disposable => disposable.dispose());
+    this._fileWatchers = [];
+    for (const root of this.roots) {
+      for (const include of root.include) {
+        const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(root.folder, include));
+        this._fileWatchers.push(
+          watcher,
+          watcher.onDidChange(uri => this._handleFileChange(uri.fsPath)),
+          watcher.onDidCreate(uri => this._handleFileChange(uri.fsPath)),
+          watcher.onDidDelete(uri => this._handleFileDelete(uri.fsPath))
+        );
+      }
+    }
+  }
+
+  // Settings that only change how TODOs are shown keep the parsed files
+  // and the cache; everything is redrawn from the current fileMap.
+  _displayConfigChanged(e) {
+    this._loadConfig();
+    this._applyHighlightsToVisibleEditors();
+    this.diagnostics.refreshAll(this.fileMap);
+    this.fileDecorations.reset(this.fileMap);
+    if (e.affectsConfiguration('codeTODO.blame.enabled')) this._queueBlame(this.fileMap.keys());
+    if (e.affectsConfiguration('codeTODO.branchDiff.baseRef')) this._scheduleBranchDiff();
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  _handleFileChange(filePath) {
+    if (this._isIgnoreFile(filePath)) {
+      this._handleIgnoreFileChange(filePath);
+      return;
+    }
+    if (this._isCodeownersFile(filePath)) {
+      this._loadCodeowners([this._getRoot(filePath)]);
+      return;
+    }
+    if (!shouldProcessFile(filePath) || !this._isTracked(filePath)) return;
+
+    const timer = this.updateTimers.get(filePath);
+    if (timer) clearTimeout(timer);
+
+    this.updateTimers.set(filePath, setTimeout(async () => {
+      try {
+        const changed = await this._processFile(filePath);
+        if (changed) {
+          this.treeNeedsRebuild = true;
+          this._debouncedRefresh();
+          this._debouncedSaveCache();
+        }
+        this._queueBlame([filePath]);
+        this._scheduleBranchDiff();
+      } catch (error) {
+        console.error(`Error updating ${filePath}:`, error);
+      }
+    }, 300));
+  }
+
+  _setSuppressed(filePath, count) {
+    if ((this.suppressedCounts.get(filePath) || 0) === count) return;
+    if (count > 0) this.suppressedCounts.set(filePath, count);
+    else this.suppressedCounts.delete(filePath);
+    this._updateStatusBar();
+  }
+
+  _handleFileDelete(filePath) {
+    this._scheduleBranchDiff();
+    this._setSuppressed(filePath, 0);
+    this.lineCounts.delete(filePath);
+    const oldItems = this.fileMap.get(filePath);
+    if (!oldItems) return;
+
+    this.fileMap.delete(filePath);
+    this.cache.delete(filePath);
+    this.diagnostics.update(filePath, []);
+    this.treeNeedsRebuild = true;
+    this._updateStatsIncremental(oldItems, []);
+    this.fileDecorations.update(filePath, oldItems, []);
+    this.api.changed(filePath);
+    this._debouncedRefresh();
+  }
+
+  _handleDocumentChange(document) {
+    if (!shouldProcessFile(document.uri.fsPath)) return;
+    const filePath = document.uri.fsPath;
+    const timer = this.docTimers.get(filePath);
+    if (timer) clearTimeout(timer);
+    this.docTimers.set(filePath, setTimeout(() => {
+      this.docTimers.delete(filePath);
+      this._processDocumentInMemory(document);
+    }, 150));
+  }
+
+  _handleDocumentSave(document) {
+    if (!shouldProcessFile(document.uri.fsPath) || !this._isTracked(document.uri.fsPath)) return;
+    this._processDocumentFromFile(document.uri.fsPath);
+  }
+
+  async _processDocumentInMemory(document) {
+    try {
+      const filePath = document.uri.fsPath;
+      const editor = vscode.window.activeTextEditor;
+      if (editor && editor.document.uri.fsPath === filePath) {
+        this._applyHighlights(editor);
+      }
+
+      if (!this._isTracked(filePath)) {
+        if (this.viewMode === 'currentFile') this._debouncedRefresh();
+        return;
+      }
+      const content = document.getText();
+      const suppressed = [];
+      const items = this._parseContent(content, filePath, suppressed);
+      this._updateFileMap(filePath, items);
+      this._setSuppressed(filePath, suppressed.length);
+      this._debouncedRefresh();
+    } catch (error) {
+      console.error('Error processing document in memory:', error);
+    }
+  }
+
+  async _processDocumentFromFile(filePath) {
+    try {
+      const changed = await this._processFile(filePath);
+      if (changed) {
+        this._debouncedRefresh();
+        this._debouncedSaveCache();
+      }
+      this._queueBlame([filePath]);
+      this._scheduleBranchDiff();
+    } catch (error) {
+      console.error('Error processing document from file:', error);
+    }
+  }
+
+  _applyHighlightsToActiveEditor() {
+    const editor = vscode.window.activeTextEditor;
+    if (editor) this._applyHighlights(editor);
+  }
+
+  _applyHighlightsToVisibleEditors() {
+    for (const editor of vscode.window.visibleTextEditors) this._applyHighlights(editor);
+  }
+
+  _applyHighlights(editor) {
+    if (!editor) return;
+    const doc = editor.document;
+    const items = this._parseContent(doc.getText(), doc.uri.fsPath);
+    this.decorations.apply(editor, items);
+  }
+
+  _updateStatsIncremental(oldItems, newItems) {
+    for (let i = 0; i < oldItems.length; i++) {
+      const tag = oldItems[i].tag;
+      if (this.totalsByTag[tag] > 1) {
+        this.totalsByTag[tag]--;
+      } else {
+        delete this.totalsByTag[tag];
+      }
+      this.totalTodos--;
+    }
+    for (let i = 0; i < newItems.length; i++) {
+      const tag = newItems[i].tag;
+      this.totalsByTag[tag] = (this.totalsByTag[tag] || 0) + 1;
+      this.totalTodos++;
+    }
+    this._updateStatusBar();
+  }
+
+  _updateStats() {
+    this.totalsByTag = {};
+    this.totalTodos = 0;
+    for (const items of this.fileMap.values()) {
+      for (let i = 0; i < items.length; i++) {
+        const tag = items[i].tag;
+        this.totalsByTag[tag] = (this.totalsByTag[tag] || 0) + 1;
+        this.totalTodos++;
+      }
+    }
+    this.fileDecorations.reset(this.fileMap);
+    this.api.changed();
+    this._updateStatusBar();
+  }
+
+  _updateStatusBar() {
+    let totals = this.totalsByTag;
+    let icon = '$(checklist)';
+    if (this.branchDiff) {
+      totals = {};
+      icon = '$(git-pull-request)';
+      for (const items of this._exportedFileMap().values()) {
+        for (let i = 0; i < items.length; i++) totals[items[i].tag] = (totals[items[i].tag] || 0) + 1;
+      }
+    }
+    this.statusBarItem.tooltip = this.branchDiff
+      ? `Code TODO - TODOs changed since ${this.branchDiff.baseRef}. Click to refresh`
+      : 'Code TODO - Click to refresh';
+    let suppressed = 0;
+    for (const count of this.suppressedCounts.values()) suppressed += count;
+    const suffix = suppressed > 0 ? ` | $(eye-closed) ${suppressed}` : '';
+    if (suppressed > 0) {
+      this.statusBarItem.tooltip += `\n${suppressed} suppressed by code-todo-ignore/disable comments`;
+    }
+
+    const entries = Object.entries(totals);
+    if (entries.length === 0) {
+      this.statusBarItem.text = this.branchDiff
+        ? `${icon} No TODOs changed since ${this.branchDiff.baseRef}`
+        : `${icon} No TODOs found`;
+      this.statusBarItem.text += suffix;
+      this.statusBarItem.show();
+      return;
+    }
+    const tagOrder = todoConfig.tags;
+    entries.sort(([a], [b]) => tagOrder.indexOf(a) - tagOrder.indexOf(b));
+    const parts = new Array(entries.length);
+    for (let i = 0; i < entries.length; i++) {
+      parts[i] = `${entries[i][0]}:${entries[i][1]}`;
+    }
+    this.statusBarItem.text = `${icon} ${parts.join(' | ')}${suffix}`;
+    this.statusBarItem.show();
+  }
+
+  _debouncedRefresh() {
+    if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.treeNeedsRebuild = true;
+      this._onDidChangeTreeData.fire();
+    }, 50);
+  }
+
+  _debouncedSaveCache() {
+    if (this.saveCacheTimer) clearTimeout(this.saveCacheTimer);
+    this.saveCacheTimer = setTimeout(() => {
+      this.saveCacheTimer = null;
+      this._saveCache();
+    }, 2000);
+  }
+
+  refresh() {
+    this._debouncedRefresh();
+  }
+
+  async _saveCache() {
+    try {
+      await this.cache.save();
+    } catch (error) {
+      console.error('Cache save error:', error);
+    }
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    if (element) {
+      if ((element.contextValue === 'tag' || element.contextValue === 'group') && !element.children) {
+        const structure = this._groupStructures.get(element.root)?.get(element.group);
+        if (structure) {
+          const result = this._buildTreeFromStructure(structure, element.root);
+          element.children = result.nodes;
+        }
+      }
+      return element.children || [];
+    }
+    return this._buildTree();
+  }
+
+  _matchesFilter(item, today) {
+    const filter = this.metadataFilter;
+    if (!filter) return true;
+    if (filter.field === 'overdue') return isOverdue(item, today);
+    if (filter.field === 'age') {
+      return !!item.authorTime && item.authorTime < Date.now() / 1000 - filter.months * MONTH_SECONDS;
+    }
+    // Owners belong to files; _visibleItems checks them.
+    if (filter.field === 'owner') return true;
+    return (item[filter.field] || '') === filter.value;
+  }
+
+  _isVisible(item, today) {
+    return todoConfig.tagSet.has(item.tag) &&
+      !this.hiddenTags.has(item.tag) &&
+      this._matchesFilter(item, today);
+  }
+
+  _matchesPath(relativePath) {
+    if (!this.pathFilter) return true;
+    const globs = /[*?[{]/.test(this.pathFilter)
+      ? [this.pathFilter]
+      : [this.pathFilter, `${this.pathFilter.replace(/\/+$/, '')}/**`];
+    return matchAny(relativePath, globs);
+  }
+
+  _visibleItems(items, filePath, relativePath, today) {
+    if (!this._matchesPath(relativePath)) return [];
+    if (this.metadataFilter && this.metadataFilter.field === 'owner' &&
+      !isOwner(this._ownersOf(filePath), this.metadataFilter.value)) return [];
+    if (this.branchDiff && !this.branchDiff.files.has(filePath)) return [];
+    const text = this.textFilter.toLowerCase();
+    const pathMatches = !text || relativePath.split(path.sep).join('/').toLowerCase().includes(text);
+    return items.filter(item =>
+      this._isVisible(item, today) &&
+      (!this.branchDiff || this.branchDiff.has(filePath, item.line)) &&
+      (pathMatches || (item.text || '').toLowerCase().includes(text)));
+  }
+
+  _collectVisibleFiles(today, filtered = true) {
+    const filesByRoot = new Map();
+    for (let r = 0; r < this.roots.length; r++) filesByRoot.set(this.roots[r].path, []);
+
+    for (const [filePath, items] of this.fileMap) {
+      const root = this._getRoot(filePath);
+      if (!root) continue;
+      const relativePath = path.relative(root.path, filePath);
+      const visible = filtered ? this._visibleItems(items, filePath, relativePath, today) : items;
+      if (visible.length === 0) continue;
+      filesByRoot.get(root.path).push({ filePath, relativePath, items: visible });
+    }
+
+    for (const files of filesByRoot.values()) {
+      files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    }
+    return filesByRoot;
+  }
+
+  _addToStructure(structure, workspaceRoot, file, items) {
+    const pathParts = file.relativePath.split(path.sep);
+    const fileName = pathParts.pop();
+    let currentLevel = structure;
+    let currentPath = workspaceRoot;
+
+    for (let i = 0; i < pathParts.length; i++) {
+      const part = pathParts[i];
+      currentPath = path.join(currentPath, part);
+      if (!currentLevel.has(part)) {
+        currentLevel.set(part, { path: currentPath, children: new Map() });
+      }
+      currentLevel = currentLevel.get(part).children;
+    }
+
+    let fileMap = currentLevel.get('__files__');
+    if (!fileMap) {
+      fileMap = new Map();
+      currentLevel.set('__files__', fileMap);
+    }
+    fileMap.set(fileName, { filePath: file.filePath, items });
+  }
+
+  _buildTree() {
+    if (!this.treeNeedsRebuild && this.cachedTree.length > 0) {
+      return this.cachedTree;
+    }
+
+    if (this.roots.length === 0) return [];
+
+    const today = todayString();
+    this._groupStructures = new Map();
+    this._rootTotals = new Map();
+
+    let rootNodes;
+    if (this.viewMode === 'currentFile') {
+      rootNodes = this._buildCurrentFileNodes(today);
+    } else {
+      const filesByRoot = this._collectVisibleFiles(today);
+      const results = this.roots.map(root =>
+        this._buildRootContent(root.path, filesByRoot.get(root.path), today));
+
+      if (this.roots.length === 1) {
+        rootNodes = results[0].nodes;
+      } else {
+        rootNodes = [];
+        for (let r = 0; r < this.roots.length; r++) {
+          const root = this.roots[r];
+          const result = results[r];
+          if (result.nodes.length === 0) continue;
+          rootNodes.push({
+            label: `${root.name} (${result.count})`,
+            tooltip: root.path,
+            collapsibleState: vscode.TreeItemCollapsibleState.Expanded,
+            iconPath: new vscode.ThemeIcon('root-folder'),
+            children: result.nodes,
+            contextValue: 'workspaceFolder'
+          });
+        }
+      }
+    }
+
+    if (this.treeView) {
+      this.treeView.message = rootNodes.length === 0 && this._hasFilter()
+        ? 'No TODOs match the current filter.'
+        : undefined;
+    }
+
+    this.cachedTree = rootNodes;
+    this.treeNeedsRebuild = false;
+    return this.cachedTree;
+  }
+
+  _buildRootContent(workspaceRoot, files, today) {
+    switch (this.viewMode) {
+      case 'folder': {
+        const structure = new Map();
+        for (const file of files) this._addToStructure(structure, workspaceRoot, file, file.items);
+        return this._buildTreeFromStructure(structure, workspaceRoot, today);
+      }
+      case 'file': {
+        const nodes = files.map(file =>
+          this._fileNode(file.relativePath.split(path.sep).join('/'), file.filePath, file.items, workspaceRoot, today));
+        if (this.sortBy === 'age') nodes.sort((a, b) => a.oldest - b.oldest);
+        return { nodes, count: nodes.reduce((sum, node) => sum + node.children.length, 0) };
+      }
+      case 'flat': {
+        const entries = [];
+        for (const file of files) {
+          const location = file.relativePath.split(path.sep).join('/');
+          for (const item of file.items) entries.push({ item, file, location });
+        }
+        if (this.sortBy === 'age') {
+          entries.sort((a, b) => (a.item.authorTime ?? Infinity) - (b.item.authorTime ?? Infinity));
+        }
+        const nodes = entries.map(entry => this._todoNode(entry.item, entry.file.filePath, today, entry.location));
+        return { nodes, count: nodes.length };
+      }
+      default:
+        this._buildGroupStructures(workspaceRoot, files);
+        return this._buildGroupNodes(workspaceRoot);
+    }
+  }
+
+  _buildGroupStructures(workspaceRoot, files) {
+    const grouping = GROUPINGS[this.groupBy] || GROUPINGS.tag;
+    const structures = new Map();
+    const totals = new Map();
+    this._groupStructures.set(workspaceRoot, structures);
+    this._rootTotals.set(workspaceRoot, totals);
+
+    for (const file of files) {
+      const owners = grouping === GROUPINGS.owner ? this._ownersOf(file.filePath).join(' ') : undefined;
+      const itemsByGroup = new Map();
+      for (let i = 0; i < file.items.length; i++) {
+        const item = file.items[i];
+        const key = grouping.key(item, owners);
+        if (!itemsByGroup.has(key)) itemsByGroup.set(key, []);
+        itemsByGroup.get(key).push(item);
+      }
+
+      for (const [key, groupItems] of itemsByGroup) {
+        let structure = structures.get(key);
+        if (!structure) {
+          structure = new Map();
+          structures.set(key, structure);
+        }
+        totals.set(key, (totals.get(key) || 0) + groupItems.length);
+        this._addToStructure(structure, workspaceRoot, file, groupItems);
+      }
+    }
+  }
+
+  _buildCurrentFileNodes(today) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || (editor.document.uri.scheme !== 'file' && editor.document.uri.scheme !== 'untitled')) return [];
+    const filePath = editor.document.uri.fsPath;
+    const items = this.fileMap.get(filePath) ||
+      this._parseContent(editor.document.getText(), filePath);
+    const root = this._getRoot(filePath);
+    const relativePath = root ? path.relative(root.path, filePath) : path.basename(filePath);
+    return this._sortItems(this._visibleItems(items, filePath, relativePath, today))
+      .map(item => this._todoNode(item, filePath, today));
+  }
+
+  _sortedGroupKeys(totals) {
+    if (this.groupBy === 'tag' || !GROUPINGS[this.groupBy]) {
+      return todoConfig.tags.filter(tag => totals.has(tag));
+    }
+    return [...totals.keys()].sort((a, b) => {
+      if (!a) return 1;
+      if (!b) return -1;
+      return a.localeCompare(b, undefined, { numeric: true });
+    });
+  }
+
+  _buildGroupNodes(rootPath) {
+    const totals = this._rootTotals.get(rootPath);
+    const grouping = GROUPINGS[this.groupBy] || GROUPINGS.tag;
+    const byTag = grouping === GROUPINGS.tag;
+    const keys = this._sortedGroupKeys(totals);
+    const nodes = new Array(keys.length);
+    let count = 0;
+    for (let k = 0; k < keys.length; k++) {
+      const key = keys[k];
+      const groupCount = totals.get(key);
+      count += groupCount;
+      nodes[k] = {
+        label: `${key || grouping.empty} (${groupCount})`,
+        tag: byTag ? key : undefined,
+        group: key,
+        root: rootPath,
+        collapsibleState: vscode.TreeItemCollapsibleState.Collapsed,
+        iconPath: byTag ? this.decorations.treeIcon(key) : new vscode.ThemeIcon(grouping.icon),
+        children: null,
+        contextValue: byTag ? 'tag' : 'group'
+      };
+    }
+    return { nodes, count };
+  }
+
+  _describeItem(item, overdue) {
+    let description = `[${item.tag}]  Ln ${item.line + 1}`;
+    if (item.assignee) description += `  @${item.assignee}`;
+    if (item.priority) description += `  ${item.priority}`;
+    if (item.issue) description += `  ${item.issue}`;
+    if (item.due) description += overdue ? `  Overdue ${item.due}` : `  Due ${item.due}`;
+    if (item.author) description += `  ${item.author}, ${formatAge(item.authorTime)}`;
+    return description;
+  }
+
+  _sortItems(items) {
+    return this.sortBy === 'age'
+      ? [...items].sort((a, b) => (a.authorTime ?? Infinity) - (b.authorTime ?? Infinity))
+      : items;
+  }
+
+  _todoNode(item, filePath, today, location) {
+    const overdue = isOverdue(item, today);
+    const description = this._describeItem(item, overdue);
+    const lines = item.endLine > item.line ? `Ln ${item.line + 1}-${item.endLine + 1}` : `Ln ${item.line + 1}`;
+    const owners = this._ownersOf(filePath);
+    return {
+      label: item.text || item.tag,
+      description: location ? `${location}  ${description}` : description,
+      tooltip: `${item.text ? `${item.tag}: ${item.text}` : item.tag}\n${lines}` +
+        (owners.length > 0 ? `\nOwners: ${owners.join(', ')}` : ''),
+      command: {
+        command: "vscode.open",
+        title: "Open File",
+        arguments: [
+          vscode.Uri.file(filePath),
+          { selection: new vscode.Range(item.line, 0, item.line, 0) }
+        ]
+      },
+      iconPath: overdue
+        ? new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.errorForeground'))
+        : this.decorations.treeIcon(item.tag),
+      contextValue: 'todo',
+      filePath,
+      item
+    };
+  }
+
+  _fileNode(label, filePath, items, workspaceRoot, today) {
+    const fileItems = this._sortItems(items);
+    let oldest = Infinity;
+    for (let i = 0; i < fileItems.length; i++) {
+      if (fileItems[i].authorTime && fileItems[i].authorTime < oldest) oldest = fileItems[i].authorTime;
+    }
+    const owners = this._ownersOf(filePath);
+    return {
+      label: `${label} (${fileItems.length})`,
+      tooltip: path.relative(workspaceRoot, filePath) + (owners.length > 0 ? `\nOwners: ${owners.join(', ')}` : ''),
+      collapsibleState: vscode.TreeItemCollapsibleState.Collapsed,
+      iconPath: vscode.ThemeIcon.File,
+      children: fileItems.map(item => this._todoNode(item, filePath, today)),
+      contextValue: 'file',
+      filePath,
+      oldest
+    };
+  }
+
+  _buildTreeFromStructure(structure, workspaceRoot, today = todayString()) {
+    const nodes = [];
+    let totalCount = 0;
+
+    for (const [key, value] of structure) {
+      if (key === '__files__') {
+        for (const [fileName, fileData] of value) {
+          if (fileData.items.length === 0) continue;
+          totalCount += fileData.items.length;
+          nodes.push(this._fileNode(fileName, fileData.filePath, fileData.items, workspaceRoot, today));
+        }
+      } else {
+        const childResult = this._buildTreeFromStructure(value.children, workspaceRoot, today);
+        if (childResult.nodes.length === 0) continue;
+
+        totalCount += childResult.count;
+        let oldest = Infinity;
+        for (let i = 0; i < childResult.nodes.length; i++) {
+          if (childResult.nodes[i].oldest < oldest) oldest = childResult.nodes[i].oldest;
+        }
+
+        let name = key;
+        let folderPath = value.path;
+        let children = childResult.nodes;
+        if (todoConfig.compactFolders && children.length === 1 && children[0].contextValue === 'folder') {
+          name = `${key}/${children[0].name}`;
+          folderPath = children[0].folderPath;
+          children = children[0].children;
+        }
+
+        nodes.push({
+          label: `${name} (${childResult.count})`,
+          name,
+          folderPath,
+          tooltip: path.relative(workspaceRoot, folderPath),
+          collapsibleState: vscode.TreeItemCollapsibleState.Collapsed,
+          iconPath: vscode.ThemeIcon.Folder,
+          children,
+          contextValue: 'folder',
+          oldest
+        });
+      }
+    }
+
+    nodes.sort((a, b) => {
+      if (a.contextValue === 'folder' && b.contextValue !== 'folder') return -1;
+      if (a.contextValue !== 'folder' && b.contextValue === 'folder') return 1;
+      if (this.sortBy === 'age' && a.oldest !== b.oldest) return a.oldest < b.oldest ? -1 : 1;
+      return a.label.localeCompare(b.label);
+    });
+
+    return { nodes, count: totalCount };
+  }
+
+  setGroupBy(groupBy) {
+    this.groupBy = GROUPINGS[groupBy] ? groupBy : 'tag';
+    this.context.workspaceState.update('codeTODO.groupBy', this.groupBy);
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  setViewMode(viewMode) {
+    this.viewMode = VIEW_MODES[viewMode] ? viewMode : 'tag';
+    this.context.workspaceState.update('codeTODO.viewMode', this.viewMode);
+    vscode.commands.executeCommand('setContext', 'codeTODO.viewMode', this.viewMode);
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  setSortBy(sortBy) {
+    this.sortBy = sortBy === 'age' ? 'age' : 'position';
+    this.context.workspaceState.update('codeTODO.sortBy', this.sortBy);
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  setMetadataFilter(filter) {
+    this.metadataFilter = filter;
+    this._filtersChanged();
+  }
+
+  setTextFilter(text) {
+    this.textFilter = (text || '').trim();
+    this._filtersChanged();
+  }
+
+  setHiddenTags(tags) {
+    this.hiddenTags = new Set(tags);
+    this._filtersChanged();
+  }
+
+  setPathFilter(glob) {
+    this.pathFilter = (glob || '').trim().replace(/\\/g, '/').replace(/^\.\//, '');
+    this._filtersChanged();
+  }
+
+  async setBranchDiff(enabled) {
+    this.branchDiffEnabled = enabled;
+    this.context.workspaceState.update('codeTODO.branchDiff', enabled);
+    if (enabled) {
+      await this._loadBranchDiff();
+    } else {
+      this.branchDiff = null;
+      this._filtersChanged();
+      this._updateStatusBar();
+    }
+  }
+
+  async _loadBranchDiff() {
+    if (!this.branchDiffEnabled) return;
+    try {
+      this.branchDiff = await BranchDiff.load(this.roots.map(root => root.path), todoConfig.baseRef);
+    } catch (error) {
+      this.branchDiffEnabled = false;
+      this.branchDiff = null;
+      this.context.workspaceState.update('codeTODO.branchDiff', false);
+      vscode.window.showWarningMessage(`Code TODO: ${error.message}. Set codeTODO.branchDiff.baseRef to an existing branch.`);
+    }
+    this._filtersChanged();
+    this._updateStatusBar();
+  }
+
+  _scheduleBranchDiff() {
+    if (!this.branchDiffEnabled) return;
+    if (this._branchDiffTimer) clearTimeout(this._branchDiffTimer);
+    this._branchDiffTimer = setTimeout(() => {
+      this._branchDiffTimer = null;
+      this._loadBranchDiff();
+    }, 1000);
+  }
+
+  _exportedFileMap() {
+    if (!this.branchDiff) return this.fileMap;
+    const fileMap = new Map();
+    for (const filePath of this.branchDiff.files.keys()) {
+      const items = (this.fileMap.get(filePath) || []).filter(item => this.branchDiff.has(filePath, item.line));
+      if (items.length > 0) fileMap.set(filePath, items);
+    }
+    return fileMap;
+  }
+
+  clearFilters() {
+    this.metadataFilter = null;
+    this.textFilter = '';
+    this.hiddenTags = new Set();
+    this.pathFilter = '';
+    if (this.branchDiffEnabled) {
+      this.setBranchDiff(false);
+    } else {
+      this._filtersChanged();
+    }
+  }
+
+  _hasFilter() {
+    return !!(this.metadataFilter || this.textFilter || this.hiddenTags.size > 0 || this.pathFilter || this.branchDiff);
+  }
+
+  _describeFilters() {
+    const parts = [];
+    if (this.textFilter) parts.push(`"${this.textFilter}"`);
+    if (this.hiddenTags.size > 0) parts.push(`hiding ${[...this.hiddenTags].join(', ')}`);
+    if (this.pathFilter) parts.push(`in ${this.pathFilter}`);
+    if (this.metadataFilter) parts.push(this.metadataFilter.label);
+    if (this.branchDiff) parts.push(`changed since ${this.branchDiff.baseRef}`);
+    return parts.length > 0 ? parts.join(' · ') : undefined;
+  }
+
+  _filtersChanged() {
+    vscode.commands.executeCommand('setContext', 'codeTODO.filterActive', this._hasFilter());
+    vscode.commands.executeCommand('setContext', 'codeTODO.branchDiff', this.branchDiffEnabled);
+    if (this.treeView) {
+      this.treeView.description = this._describeFilters();
+    }
+    this.treeNeedsRebuild = true;
+    this._debouncedRefresh();
+  }
+
+  async chooseTextFilter() {
+    const text = await vscode.window.showInputBox({
+      prompt: 'Show TODOs whose text or path contains',
+      placeHolder: 'e.g. login or src/auth',
+      value: this.textFilter,
+    });
+    if (text !== undefined) this.setTextFilter(text);
+  }
+
+  async chooseTags() {
+    const picks = todoConfig.tags.map(tag => ({
+      label: tag,
+      description: `${this.totalsByTag[tag] || 0}`,
+      picked: !this.hiddenTags.has(tag),
+    }));
+    const selected = await vscode.window.showQuickPick(picks, {
+      canPickMany: true,
+      placeHolder: 'Tags to show',
+    });
+    if (!selected) return;
+    const shown = new Set(selected.map(pick => pick.label));
+    this.setHiddenTags(todoConfig.tags.filter(tag => !shown.has(tag)));
+  }
+
+  async choosePathFilter() {
+    const glob = await vscode.window.showInputBox({
+      prompt: 'Only show TODOs in files matching a glob or folder, relative to the workspace folder',
+      placeHolder: 'e.g. src/api or **/*.test.ts',
+      value: this.pathFilter,
+    });
+    if (glob !== undefined) this.setPathFilter(glob);
+  }
+
+  async chooseGroupBy() {
+    const picks = Object.entries(GROUPINGS).map(([id, grouping]) => ({
+      label: grouping.label,
+      description: id === this.groupBy ? 'current' : undefined,
+      id
+    }));
+    const pick = await vscode.window.showQuickPick(picks, { placeHolder: 'Group TODOs by' });
+    if (pick) this.setGroupBy(pick.id);
+  }
+
+  async chooseViewMode() {
+    const grouping = GROUPINGS[this.groupBy] || GROUPINGS.tag;
+    const picks = Object.entries(VIEW_MODES).map(([id, mode]) => ({
+      label: id === 'tag' ? `By ${grouping.label}` : mode.label,
+      description: id === this.viewMode ? 'current' : undefined,
+      detail: mode.detail,
+      id
+    }));
+    const pick = await vscode.window.showQuickPick(picks, { placeHolder: 'Show TODOs' });
+    if (pick) this.setViewMode(pick.id);
+  }
+
+  _orderedTodos(filtered = false) {
+    const filesByRoot = this._collectVisibleFiles(todayString(), filtered);
+    const multiRoot = this.roots.length > 1;
+    const entries = [];
+    for (let r = 0; r < this.roots.length; r++) {
+      const root = this.roots[r];
+      for (const file of filesByRoot.get(root.path)) {
+        const relativePath = file.relativePath.split(path.sep).join('/');
+        const location = multiRoot ? `${root.name}/${relativePath}` : relativePath;
+        for (const item of file.items) {
+          entries.push({ rootIndex: r, relativePath: file.relativePath, location, filePath: file.filePath, item });
+        }
+      }
+    }
+    return entries;
+  }
+
+  async _revealTodo(entry, options = {}) {
+    const position = new vscode.Position(entry.item.line, entry.item.column);
+    await vscode.window.showTextDocument(vscode.Uri.file(entry.filePath), {
+      ...options,
+      selection: new vscode.Range(position, position),
+    });
+  }
+
+  async quickOpen() {
+    const entries = this._orderedTodos();
+    if (entries.length === 0) {
+      vscode.window.showInformationMessage('No TODOs found.');
+      return;
+    }
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.placeholder = 'Go to TODO';
+    quickPick.matchOnDescription = true;
+    quickPick.items = entries.map(entry => ({
+      label: `$(${this.decorations.treeIcon(entry.item.tag).id}) ${entry.item.text || entry.item.tag}`,
+      description: `${entry.item.tag}  ${entry.location}:${entry.item.line + 1}`,
+      entry
+    }));
+
+    const previous = vscode.window.activeTextEditor;
+    let accepted = false;
+    quickPick.onDidChangeActive(active => {
+      if (active[0]) this._revealTodo(active[0].entry, { preview: true, preserveFocus: true });
+    });
+    quickPick.onDidAccept(() => {
+      const pick = quickPick.selectedItems[0] || quickPick.activeItems[0];
+      accepted = true;
+      quickPick.hide();
+      if (pick) this._revealTodo(pick.entry, { preview: false });
+    });
+    quickPick.onDidHide(() => {
+      quickPick.dispose();
+      if (!accepted && previous) {
+        vscode.window.showTextDocument(previous.document, {
+          viewColumn: previous.viewColumn,
+          selection: previous.selection,
+        });
+      }
+    });
+    quickPick.show();
+  }
+
+  // The TODO nodes of the tree in the order they are shown, expanding the
+  // groups that getChildren fills in lazily.
+  async _treeTodos(nodes = this._buildTree(), entries = []) {
+    for (const node of nodes) {
+      if (node.contextValue === 'todo') {
+        entries.push({ filePath: node.filePath, item: node.item });
+      } else {
+        await this._treeTodos(await this.getChildren(node), entries);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Moves to the next (`direction` 1) or previous (-1) TODO in tree order,
+   * starting from the one under the cursor and wrapping around. Between
+   * TODOs it goes to the nearest one of the file after (or before) the cursor.
+   * The current file view only holds the active file, so it moves in
+   * workspace order instead, with the tree's filters applied.
+   */
+  async goToAdjacent(direction) {
+    const entries = this.viewMode === 'currentFile' ? this._orderedTodos(true) : await this._treeTodos();
+    if (entries.length === 0) {
+      vscode.window.showInformationMessage('No TODOs found.');
+      return;
+    }
+
+    let index = direction > 0 ? 0 : entries.length - 1;
+    const editor = vscode.window.activeTextEditor;
+    const filePath = editor && editor.document.uri.fsPath;
+    const inFile = [];
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].filePath === filePath) inFile.push(i);
+    }
+    if (inFile.length > 0) {
+      const cursor = editor.selection.active;
+      const compare = item => (item.line - cursor.line) || (item.column - cursor.character);
+      const current = inFile.find(i => {
+        const item = entries[i].item;
+        return item.line <= cursor.line && cursor.line <= Math.max(item.endLine || 0, item.line);
+      });
+      if (current !== undefined) {
+        index = current + direction;
+      } else if (direction > 0) {
+        index = inFile.find(i => compare(entries[i].item) > 0) ?? inFile[inFile.length - 1] + 1;
+      } else {
+        index = [...inFile].reverse().find(i => compare(entries[i].item) < 0) ?? inFile[0] - 1;
+      }
+    }
+    await this._revealTodo(entries[(index + entries.length) % entries.length]);
+  }
+
+  _itemsFor(document) {
+    const filePath = document.uri.fsPath;
+    return this.fileMap.get(filePath) || this._parseContent(document.getText(), filePath);
+  }
+
+  _actionTarget(arg) {
+    if (arg && arg.item && arg.filePath) {
+      return { uri: vscode.Uri.file(arg.filePath), line: arg.item.line, column: arg.item.column };
+    }
+    if (arg && arg.uri && typeof arg.line === 'number') return arg;
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return null;
+    return { uri: editor.document.uri, line: editor.selection.active.line };
+  }
+
+  async _resolveTodo(arg) {
+    const target = this._actionTarget(arg);
+    if (!target) return null;
+    const document = await vscode.workspace.openTextDocument(target.uri);
+    const filePath = document.uri.fsPath;
+    const items = this._parseContent(document.getText(), filePath)
+      .filter(item => item.line === target.line);
+    const item = items.find(candidate => candidate.column === target.column) || items[0];
+    if (!item) {
+      vscode.window.showInformationMessage('No TODO found on this line.');
+      return null;
+    }
+    return { document, item };
+  }
+
+  _tagRange(item) {
+    return new vscode.Range(item.line, item.column, item.line, item.column + item.tag.length);
+  }
+
+  async markDone(arg) {
+    const todo = await this._resolveTodo(arg);
+    if (!todo) return;
+    const { document, item } = todo;
+    const edit = new vscode.WorkspaceEdit();
+    if (todoConfig.markDone === 'done') {
+      edit.replace(document.uri, this._tagRange(item), 'DONE');
+    } else {
+      const range = removalRange(document.getText().split(/\r?\n/), item, document.uri.fsPath);
+      edit.delete(document.uri, new vscode.Range(
+        range.start.line, range.start.character, range.end.line, range.end.character
+      ));
+    }
+    await vscode.workspace.applyEdit(edit);
+  }
+
+  async changeTag(arg) {
+    const todo = await this._resolveTodo(arg);
+    if (!todo) return;
+    const { document, item } = todo;
+    const tag = await vscode.window.showQuickPick(todoConfig.tags.filter(t => t !== item.tag), {
+      placeHolder: `Change ${item.tag} to`,
+    });
+    if (!tag) return;
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, this._tagRange(item), tag);
+    await vscode.workspace.applyEdit(edit);
+  }
+
+  async copyMarkdownLink(arg) {
+    const todo = await this._resolveTodo(arg);
+    if (!todo) return;
+    const filePath = todo.document.uri.fsPath;
+    const root = this._getRoot(filePath);
+    const link = markdownLink(todo.item, root ? path.relative(root.path, filePath) : path.basename(filePath));
+    await vscode.env.clipboard.writeText(link);
+    vscode.window.setStatusBarMessage('Code TODO: Markdown link copied', 3000);
+  }
+
+  async openIssue(arg) {
+    const todo = await this._resolveTodo(arg);
+    if (!todo) return;
+    const { document, item } = todo;
+    const patterns = compileIssueLinks(vscode.workspace.getConfiguration('codeTODO', document.uri).get('issueLinks'));
+    const links = itemIssueLinks(document, item, patterns);
+    if (links.length === 0) {
+      vscode.window.showInformationMessage(item.issue && patterns.length === 0
+        ? `Code TODO: Add a pattern for ${item.issue} to codeTODO.issueLinks to open it.`
+        : 'No linked issue found in this TODO.');
+      return;
+    }
+
+    let link = links[0];
+    if (links.length > 1) {
+      const pick = await vscode.window.showQuickPick(
+        links.map(candidate => ({ label: candidate.reference, detail: candidate.url, link: candidate })),
+        { placeHolder: 'Open linked issue' }
+      );
+      if (!pick) return;
+      link = pick.link;
+    }
+    await vscode.env.openExternal(vscode.Uri.parse(link.url));
+  }
+
+  revealInExplorer(arg) {
+    const target = arg && arg.filePath ? { uri: vscode.Uri.file(arg.filePath) } : this._actionTarget(arg);
+    if (target) vscode.commands.executeCommand('revealInExplorer', target.uri);
+  }
+
+  _recordHistory() {
+    const history = this.context.workspaceState.get('codeTODO.history', []);
+    this.context.workspaceState.update('codeTODO.history', recordSnapshot(history, this.totalsByTag, todayString()));
+    this._renderDashboard();
+  }
+
+  showDashboard() {
+    if (this.dashboard) {
+      this.dashboard.reveal();
+      return;
+    }
+    this.dashboard = vscode.window.createWebviewPanel(
+      'codeTODO.dashboard',
+      'TODO Dashboard',
+      vscode.ViewColumn.Active,
+      { enableScripts: true, localResourceRoots: [] }
+    );
+    this.dashboard.webview.onDidReceiveMessage(message => {
+      if (message.command !== 'open' || !this.fileMap.has(message.file)) return;
+      const position = new vscode.Position(message.line || 0, 0);
+      vscode.window.showTextDocument(vscode.Uri.file(message.file), {
+        viewColumn: vscode.ViewColumn.One,
+        selection: new vscode.Range(position, position),
+      });
+    });
+    this.dashboard.onDidDispose(() => {
+      this.dashboard = null;
+    });
+    this._renderDashboard();
+  }
+
+  _renderDashboard() {
+    if (!this.dashboard) return;
+    const colors = {};
+    for (const [tag, style] of this.decorations.styles) {
+      colors[tag] = style.rulerColor || style.foreground;
+    }
+    this.dashboard.webview.html = renderDashboard({
+      history: this.context.workspaceState.get('codeTODO.history', []),
+      tags: todoConfig.tags,
+      colors,
+      summary: summarize(this.fileMap, this.roots, this.lineCounts),
+      nonce: crypto.randomBytes(16).toString('hex'),
+      cspSource: this.dashboard.webview.cspSource,
+    });
+  }
+
+  async exportReport() {
+    const picks = Object.entries(REPORT_FORMATS).map(([id, format]) => ({ label: format.label, id }));
+    const pick = await vscode.window.showQuickPick(picks, { placeHolder: 'Export TODO report as' });
+    if (!pick) return;
+
+    const format = REPORT_FORMATS[pick.id];
+    const defaultFolder = this.roots[0]?.folder.uri;
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: defaultFolder ? vscode.Uri.joinPath(defaultFolder, `todo-report.${format.extension}`) : undefined,
+      filters: { [format.label]: [format.extension] },
+    });
+    if (!uri) return;
+
+    try {
+      const rows = collectReportItems(this._exportedFileMap(), this.roots);
+      const content = renderReport(pick.id, rows, todoConfig.tags, this.roots);
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+      const action = await vscode.window.showInformationMessage(
+        `Exported ${rows.length} TODOs to ${path.basename(uri.fsPath)}.`, 'Open'
+      );
+      if (action === 'Open') await vscode.window.showTextDocument(uri);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Code TODO: export failed: ${error.message}`);
+    }
+  }
+
+  async chooseSortBy() {
+    const picks = [
+      { label: 'Position', description: 'File order, then line', id: 'position' },
+      { label: 'Age', description: 'Oldest first, from git blame', id: 'age' },
+    ];
+    const pick = await vscode.window.showQuickPick(picks, { placeHolder: 'Sort TODOs by' });
+    if (pick) this.setSortBy(pick.id);
+  }
+
+  _ownerHandle() {
+    return vscode.workspace.getConfiguration('codeTODO').get('codeowners.handle', '').trim();
+  }
+
+  _mineFilter(handle) {
+    return { field: 'owner', value: handle, label: 'My TODOs' };
+  }
+
+  async showMyTodos() {
+    const handle = this._ownerHandle();
+    if (!handle) {
+      const choice = await vscode.window.showInformationMessage(
+        'Code TODO: Set codeTODO.codeowners.handle to your GitHub handle or team to see the TODOs you own.',
+        'Open Settings'
+      );
+      if (choice) vscode.commands.executeCommand('workbench.action.openSettings', 'codeTODO.codeowners.handle');
+      return;
+    }
+    this.setMetadataFilter(this._mineFilter(handle));
+  }
+
+  async chooseMetadataFilter() {
+    const values = { assignee: new Set(), priority: new Set(), issue: new Set(), owner: new Set() };
+    let hasDue = false;
+    let hasAge = false;
+    for (const [filePath, items] of this.fileMap) {
+      for (const owner of this._ownersOf(filePath)) values.owner.add(owner);
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (item.assignee) values.assignee.add(item.assignee);
+        if (item.priority) values.priority.add(item.priority);
+        if (item.issue) values.issue.add(item.issue);
+        if (item.due) hasDue = true;
+        if (item.authorTime) hasAge = true;
+      }
+    }
+
+    const picks = [];
+    const handle = this._ownerHandle();
+    if (handle && values.owner.size > 0) {
+      picks.push({ label: '$(account) My TODOs', description: handle, filter: this._mineFilter(handle) });
+    }
+    if (hasDue) {
+      picks.push({ label: '$(warning) Overdue', filter: { field: 'overdue', label: 'Overdue' } });
+    }
+    for (const field of ['assignee', 'priority', 'issue', 'owner']) {
+      if (values[field].size === 0) continue;
+      const grouping = GROUPINGS[field];
+      picks.push({ label: grouping.label, kind: vscode.QuickPickItemKind.Separator });
+      const sorted = [...values[field]].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const value of sorted) {
+        picks.push({
+          label: `$(${grouping.icon}) ${value}`,
+          filter: { field, value, label: `${grouping.label}: ${value}` }
+        });
+      }
+    }
+
+    if (hasAge) {
+      picks.push({ label: 'Age', kind: vscode.QuickPickItemKind.Separator });
+      for (const months of AGE_FILTERS) {
+        const label = `Older than ${months} month${months > 1 ? 's' : ''}`;
+        picks.push({ label: `$(history) ${label}`, filter: { field: 'age', months, label } });
+      }
+    }
+
+    if (picks.length === 0) {
+      vscode.window.showInformationMessage('No TODOs have an assignee, priority, issue, owner, due date or git history.');
+      return;
+    }
+    const pick = await vscode.window.showQuickPick(picks, { placeHolder: 'Show only TODOs matching' });
+    if (pick) this.setMetadataFilter(pick.filter);
+  }
+}
+
+module.exports = { TodoTreeProvider };
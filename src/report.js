@@ -0,0 +1,237 @@
+const path = require('path');
+const { version } = require('../package.json');
+
+const REPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  json: { label: 'JSON', extension: 'json' },
+  csv: { label: 'CSV', extension: 'csv' },
+  sarif: { label: 'SARIF 2.1', extension: 'sarif' },
+};
+
+const SARIF_LEVELS = { BUG: 'error', FIXME: 'warning' };
+const CSV_COLUMNS = ['tag', 'file', 'line', 'column', 'text', 'assignee', 'priority', 'issue', 'due', 'author', 'date'];
+
+function _compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// The name of each root, by index. Folders can share a name (the CLI names
+// them after their last path segment), so repeated names get a suffix.
+function rootLabels(roots) {
+  const seen = new Map();
+  return roots.map(root => {
+    const count = (seen.get(root.name) || 0) + 1;
+    seen.set(root.name, count);
+    return count === 1 ? root.name : `${root.name}-${count}`;
+  });
+}
+
+/**
+ * Flattens `fileMap` into report rows with workspace-relative, forward-slash
+ * paths and one-based positions, in a deterministic order. In multi-root
+ * workspaces paths are prefixed with the folder name.
+ */
+function collectReportItems(fileMap, roots) {
+  const rows = [];
+  const multiRoot = roots.length > 1;
+  const labels = rootLabels(roots);
+  const bySpecificity = roots
+    .map((root, index) => ({ ...root, name: labels[index], index }))
+    .sort((a, b) => b.path.length - a.path.length);
+
+  for (const [filePath, items] of fileMap) {
+    const root = bySpecificity.find(r => filePath === r.path || filePath.startsWith(r.path + path.sep));
+    if (!root) continue;
+    const relativePath = path.relative(root.path, filePath).split(path.sep).join('/');
+    const file = multiRoot ? `${root.name}/${relativePath}` : relativePath;
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      rows.push({
+        tag: item.tag,
+        text: item.text,
+        file,
+        root: root.name,
+        rootIndex: root.index,
+        relativePath,
+        line: item.line + 1,
+        column: item.column + 1,
+        endLine: Math.max(item.endLine || 0, item.line) + 1,
+        assignee: item.assignee || null,
+        priority: item.priority || null,
+        issue: item.issue || null,
+        due: item.due || null,
+        author: item.author || null,
+        date: item.authorTime ? new Date(item.authorTime * 1000).toISOString().slice(0, 10) : null,
+      });
+    }
+  }
+
+  rows.sort((a, b) =>
+    (a.rootIndex - b.rootIndex) ||
+    _compare(a.relativePath, b.relativePath) ||
+    (a.line - b.line) ||
+    (a.column - b.column));
+  return rows;
+}
+
+// Keeps TODO text from turning into emphasis, HTML or table cells.
+function _escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+function _metadataSuffix(row) {
+  const parts = [];
+  if (row.assignee) parts.push(`@${row.assignee}`);
+  if (row.priority) parts.push(row.priority);
+  if (row.issue) parts.push(row.issue);
+  if (row.due) parts.push(`due ${row.due}`);
+  if (row.author) parts.push(`${row.author}${row.date ? `, ${row.date}` : ''}`);
+  return parts.length > 0 ? ` _(${_escapeMarkdown(parts.join(', '))})_` : '';
+}
+
+function toMarkdown(rows, tags) {
+  const byTag = new Map();
+  for (let i = 0; i < rows.length; i++) {
+    if (!byTag.has(rows[i].tag)) byTag.set(rows[i].tag, []);
+    byTag.get(rows[i].tag).push(rows[i]);
+  }
+
+  const order = tags.filter(tag => byTag.has(tag));
+  for (const tag of [...byTag.keys()].sort()) {
+    if (!order.includes(tag)) order.push(tag);
+  }
+
+  const lines = ['# TODO Report', ''];
+  for (const tag of order) {
+    const tagRows = byTag.get(tag).map(row => {
+      const slash = row.file.lastIndexOf('/');
+      return {
+        row,
+        folder: slash === -1 ? '.' : row.file.slice(0, slash),
+        fileName: row.file.slice(slash + 1),
+      };
+    });
+    tagRows.sort((a, b) =>
+      _compare(a.folder, b.folder) ||
+      _compare(a.fileName, b.fileName) ||
+      (a.row.line - b.row.line));
+    lines.push(`## ${tag} (${tagRows.length})`, '');
+
+    let folder = null;
+    for (let i = 0; i < tagRows.length; i++) {
+      const { row, fileName } = tagRows[i];
+      if (tagRows[i].folder !== folder) {
+        if (folder !== null) lines.push('');
+        folder = tagRows[i].folder;
+        lines.push(`### ${_escapeMarkdown(folder)}`, '');
+      }
+      lines.push(`- [ ] \`${fileName}:${row.line}\` ${_escapeMarkdown(row.text || row.tag)}${_metadataSuffix(row)}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function _publicRow(row) {
+  const result = {};
+  for (const column of CSV_COLUMNS) result[column] = row[column];
+  return result;
+}
+
+function toJSON(rows) {
+  return JSON.stringify({ version: 1, total: rows.length, items: rows.map(_publicRow) }, null, 2) + '\n';
+}
+
+function _csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (let i = 0; i < rows.length; i++) {
+    lines.push(CSV_COLUMNS.map(column => _csvField(rows[i][column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// SARIF wants URI references: `a b#1.js` becomes `a%20b%231.js`.
+function _uriReference(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function pathToFileUri(filePath) {
+  let posixPath = filePath.split(path.sep).join('/');
+  if (!posixPath.startsWith('/')) posixPath = `/${posixPath}`;
+  // Keeps the colon of a Windows drive letter.
+  return `file://${_uriReference(posixPath).replace(/%3A/g, ':')}`;
+}
+
+function toSARIF(rows, tags, roots) {
+  const multiRoot = roots.length > 1;
+  const ruleIds = tags.filter(tag => rows.some(row => row.tag === tag));
+  for (const row of rows) {
+    if (!ruleIds.includes(row.tag)) ruleIds.push(row.tag);
+  }
+
+  const originalUriBaseIds = {};
+  if (multiRoot) {
+    const labels = rootLabels(roots);
+    roots.forEach((root, index) => {
+      originalUriBaseIds[labels[index]] = { uri: `${pathToFileUri(root.path)}/` };
+    });
+  }
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Code TODO',
+          informationUri: 'https://github.com/jamacio/code-todo',
+          version,
+          rules: ruleIds.map(tag => ({
+            id: tag,
+            name: tag,
+            shortDescription: { text: `${tag} comment` },
+            defaultConfiguration: { level: SARIF_LEVELS[tag] || 'note' },
+          })),
+        },
+      },
+      ...(multiRoot ? { originalUriBaseIds } : {}),
+      results: rows.map(row => ({
+        ruleId: row.tag,
+        ruleIndex: ruleIds.indexOf(row.tag),
+        level: SARIF_LEVELS[row.tag] || 'note',
+        message: { text: row.text ? `${row.tag}: ${row.text}` : row.tag },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: {
+              uri: _uriReference(row.relativePath),
+              uriBaseId: multiRoot ? row.root : '%SRCROOT%',
+            },
+            region: row.endLine > row.line
+              ? { startLine: row.line, startColumn: row.column, endLine: row.endLine }
+              : { startLine: row.line, startColumn: row.column },
+          },
+        }],
+      })),
+    }],
+  };
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+function renderReport(format, rows, tags, roots) {
+  switch (format) {
+    case 'markdown': return toMarkdown(rows, tags);
+    case 'json': return toJSON(rows);
+    case 'csv': return toCSV(rows);
+    case 'sarif': return toSARIF(rows, tags, roots);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
+
+module.exports = { REPORT_FORMATS, rootLabels, collectReportItems, renderReport, toMarkdown, toJSON, toCSV, toSARIF };
@@ -0,0 +1,223 @@
+const path = require('path');
+const { CommentScanner } = require('./comments');
+const { parseMetadata } = require('./metadata');
+const { readText } = require('./encoding');
+
+const SUPPORTED_EXT = '{js,ts,jsx,tsx,vue,php,py,java,cs,cpp,h,hpp,html,css,scss,less,sass,md,txt,yaml,yml,json,xml,rb,go,rs,kt,swift,m,mm,dart,lua,pl,pm,sh,bash,zsh,ps1,psm1,ini,asm}';
+const WATCHER_GLOB = `**/*.${SUPPORTED_EXT}`;
+const EXCLUDED_FOLDERS = ['node_modules', 'vendor', 'dist', 'out', 'build', '.git', '.vscode', 'coverage', 'tmp', 'temp', '__pycache__', 'venv', '.venv', 'env', '.env', 'bundle', '.next', '.nuxt', '.cache', 'public/build'];
+const EXCLUDE_GLOB = `**/{${EXCLUDED_FOLDERS.join(',')}}/**`;
+const DEFAULT_INCLUDES = [WATCHER_GLOB];
+const DEFAULT_EXCLUDES = EXCLUDED_FOLDERS.map(folder => `**/${folder}/**`);
+
+const DEFAULT_TAGS = ['BUG', 'HACK', 'FIXME', 'TODO', 'XXX', 'NOTE', 'OPTIMIZE', 'REVIEW'];
+const DEFAULT_MAX_FILE_SIZE = 2 * 1024 * 1024;
+const LINE_BREAK = /\r\n|\r|\n/;
+const DIRECTIVE_REGEX = /(?<![\w-])code-todo-(ignore-next-line|ignore-line|disable-file|disable|enable)(?![\w-])/g;
+
+class TodoItem {
+  constructor(tag, text, line, column, file, meta = {}) {
+    this.tag = tag;
+    this.text = text;
+    this.line = line;
+    this.column = column;
+    this.endLine = line;
+    this.endColumn = column + tag.length;
+    this.file = file;
+    this.assignee = meta.assignee || null;
+    this.priority = meta.priority || null;
+    this.issue = meta.issue || null;
+    this.due = meta.due || null;
+    this.author = null;
+    this.authorTime = null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildTagRegex(tags, { caseSensitive = true, requireColon = false } = {}) {
+  const alternation = [...tags]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const separator = requireColon ? ':' : '(?=\\s|:)[:]?';
+  return new RegExp(
+    `(?<!\\w)(${alternation})(?:\\(([^)]*)\\))?${separator}\\s*(.*)`,
+    caseSensitive ? 'g' : 'gi'
+  );
+}
+
+function shouldProcessFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.png' || ext === '.jpg' || ext === '.jpeg' || ext === '.gif' ||
+      ext === '.svg' || ext === '.ico' || ext === '.woff' || ext === '.woff2' ||
+      ext === '.ttf' || ext === '.eot' || ext === '.otf' || ext === '.pdf' ||
+      ext === '.zip' || ext === '.tar' || ext === '.gz') return false;
+
+  if (ext === '.js' || ext === '.css') {
+    if (filePath.endsWith('.min.js') || filePath.endsWith('.min.css')) return false;
+  }
+  if (filePath.endsWith('.map') ||
+      filePath.endsWith('package-lock.json') ||
+      filePath.endsWith('yarn.lock') ||
+      filePath.endsWith('pnpm-lock.yaml')) return false;
+
+  return true;
+}
+
+/**
+ * Extracts TodoItems from files and in-memory text. Shared by the editor
+ * and the command line scanner so both report exactly the same items.
+ */
+class TodoParser {
+  constructor(tags = DEFAULT_TAGS, options = {}) {
+    this.tags = tags;
+    this.caseSensitive = options.caseSensitive !== false;
+    this.canonicalTags = new Map(tags.map(tag => [this._tagKey(tag), tag]));
+    this.regex = buildTagRegex(tags, options);
+    this.issueKeys = options.issueKeys || [];
+    this.encoding = options.encoding || 'utf8';
+    this.encodingByExtension = options.encodingByExtension || {};
+  }
+
+  _tagKey(tag) {
+    return this.caseSensitive ? tag : tag.toUpperCase();
+  }
+
+  /**
+   * Items silenced by a `code-todo-*` directive are left out of the result
+   * and pushed to `suppressed` instead, so callers can still count them.
+   * `info.lines` is set to the number of lines of the file.
+   */
+  async parseFile(filePath, suppressed = [], info = {}) {
+    const content = await this.readFile(filePath);
+    return content === null ? [] : this.parseContent(content, filePath, suppressed, info);
+  }
+
+  /**
+   * Reads a file in its `files.encoding` (or the one its byte order mark
+   * names). Returns null for binary files.
+   */
+  readFile(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    return readText(filePath, this.encodingByExtension[extension] || this.encoding);
+  }
+
+  parseContent(content, filePath, suppressed = [], info = {}) {
+    const items = [];
+    if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
+    const lines = content.split(LINE_BREAK);
+    info.lines = lines.length;
+    const scanner = new CommentScanner(filePath);
+    const state = this._newState(suppressed);
+    for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+      this.parseLine(scanner, lines[lineNumber], lineNumber, filePath, items, state);
+    }
+    return this._finish(state, items);
+  }
+
+  _newState(suppressed) {
+    return { suppressed, ignoreLine: -1, disabled: false, disabledFile: false, open: null };
+  }
+
+  _finish(state, items) {
+    if (!state.disabledFile) return items;
+    state.suppressed.push(...items);
+    return [];
+  }
+
+  parseLine(scanner, line, lineNumber, filePath, items, state = this._newState([])) {
+    const segments = scanner.scanLine(line);
+    if (state.open && this._continueItem(state.open, line, lineNumber, segments)) return;
+    state.open = null;
+
+    let suppress = state.disabled || state.ignoreLine === lineNumber;
+    const found = [];
+    let lastSegment = null;
+    for (let s = 0; s < segments.length; s++) {
+      const segment = segments[s];
+      if (segment.text.includes('code-todo-')) {
+        DIRECTIVE_REGEX.lastIndex = 0;
+        let directive;
+        while ((directive = DIRECTIVE_REGEX.exec(segment.text)) !== null) {
+          switch (directive[1]) {
+            case 'ignore-line': suppress = true; break;
+            case 'ignore-next-line': state.ignoreLine = lineNumber + 1; break;
+            case 'disable': state.disabled = true; suppress = true; break;
+            case 'enable': state.disabled = false; break;
+            case 'disable-file': state.disabledFile = true; break;
+          }
+        }
+      }
+
+      this.regex.lastIndex = 0;
+      let match;
+      while ((match = this.regex.exec(segment.text)) !== null) {
+        const tag = this.canonicalTags.get(this._tagKey(match[1]));
+        if (tag) {
+          const text = match[3].trim();
+          const meta = parseMetadata(match[2], text, this.issueKeys);
+          const item = new TodoItem(tag, text, lineNumber, segment.start + match.index, filePath, meta);
+          item.endColumn = item.column + match[0].trimEnd().length;
+          found.push(item);
+          lastSegment = segment;
+        }
+      }
+    }
+    if (found.length === 0) return;
+    (suppress ? state.suppressed : items).push(...found);
+
+    const item = found[found.length - 1];
+    const segment = lastSegment;
+    const inBlock = scanner.block !== null;
+    if (segment !== segments[segments.length - 1] || segment.partial !== inBlock) return;
+    state.open = {
+      item,
+      block: inBlock,
+      delimiter: line.slice(segment.commentStart, segment.start),
+      decoration: segment.text.slice(0, item.column - segment.start).replace(/\s+/g, ''),
+    };
+  }
+
+  // A comment line continues the TODO above it when it has the same
+  // comment prefix and its text is indented past the tag.
+  _continueItem(open, line, lineNumber, segments) {
+    const segment = segments[0];
+    if (!segment || segments.length > 1 || line.slice(0, segment.commentStart).trim() !== '') return false;
+    if (open.block ? segment.commentStart !== 0 || !segment.partial
+      : segment.partial || line.slice(segment.commentStart, segment.start) !== open.delimiter) return false;
+
+    const text = segment.text.trimStart();
+    if (!text.startsWith(open.decoration)) return false;
+    const rest = text.slice(open.decoration.length);
+    const content = rest.trim();
+    const column = segment.start + segment.text.length - rest.trimStart().length;
+    if (!content || column <= open.item.column) return false;
+    this.regex.lastIndex = 0;
+    if (this.regex.test(segment.text) || content.includes('code-todo-')) return false;
+
+    const item = open.item;
+    item.text = item.text ? `${item.text} ${content}` : content;
+    item.endLine = lineNumber;
+    item.endColumn = segment.start + segment.text.trimEnd().length;
+    // Code after a closing `*/` is still scanned for tags.
+    return !open.block || segment.commentEnd === line.length;
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXT,
+  WATCHER_GLOB,
+  EXCLUDE_GLOB,
+  DEFAULT_INCLUDES,
+  DEFAULT_EXCLUDES,
+  DEFAULT_TAGS,
+  DEFAULT_MAX_FILE_SIZE,
+  TodoItem,
+  TodoParser,
+  buildTagRegex,
+  escapeRegExp,
+  shouldProcessFile,
+};
@@ -0,0 +1,102 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'scanworker.js');
+const CHUNK_SIZE = 100;
+const MAX_WORKERS = 4;
+
+function defaultPoolSize() {
+  return Math.max(1, Math.min(MAX_WORKERS, os.cpus().length - 1));
+}
+
+/**
+ * Stats and parses files on worker threads so a full scan does not block
+ * the extension host. Each file carries its cached `mtime` and `size`;
+ * workers skip files that did not change. Results are handed back chunk
+ * by chunk through `onResults`.
+ */
+class ScanPool {
+  constructor(size = defaultPoolSize()) {
+    this.size = size;
+    this.workers = [];
+    this.disposed = false;
+    this._settle = null;
+  }
+
+  /**
+   * `groups` is a list of `{ options, files }`, one per set of parser
+   * options. Resolves to `true` when every file was scanned and `false`
+   * when the pool was disposed first.
+   */
+  run(groups, onResults) {
+    const chunks = [];
+    for (const group of groups) {
+      for (let i = 0; i < group.files.length; i += CHUNK_SIZE) {
+        chunks.push({ options: group.options, files: group.files.slice(i, i + CHUNK_SIZE) });
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      if (this.disposed) return resolve(false);
+      if (chunks.length === 0) return resolve(true);
+
+      let next = 0;
+      let active = 0;
+      this._settle = resolve;
+
+      const fail = error => {
+        this._settle = null;
+        this.dispose();
+        reject(error);
+      };
+
+      const dispatch = worker => {
+        if (this.disposed) return;
+        if (next < chunks.length) {
+          active++;
+          worker.postMessage({ id: next, ...chunks[next++] });
+        } else if (active === 0) {
+          this._settle = null;
+          this.dispose();
+          resolve(true);
+        }
+      };
+
+      const count = Math.min(this.size, chunks.length);
+      for (let w = 0; w < count; w++) {
+        const worker = new Worker(WORKER_PATH);
+        this.workers.push(worker);
+        worker.on('message', message => {
+          if (this.disposed) return;
+          active--;
+          try {
+            onResults(message.results);
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          dispatch(worker);
+        });
+        worker.on('error', fail);
+        worker.on('exit', code => {
+          if (!this.disposed && code !== 0) fail(new Error(`Scan worker exited with code ${code}`));
+        });
+        dispatch(worker);
+      }
+    });
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    for (const worker of this.workers) worker.terminate();
+    this.workers = [];
+    if (this._settle) {
+      this._settle(false);
+      this._settle = null;
+    }
+  }
+}
+
+module.exports = { ScanPool, defaultPoolSize };
@@ -0,0 +1,42 @@
+const { parentPort } = require('worker_threads');
+const fs = require('fs').promises;
+const { TodoParser } = require('./scanner');
+
+const CONCURRENCY = 16;
+const parsers = new Map();
+
+function parserFor(options) {
+  const key = JSON.stringify([options.tags, options.caseSensitive, options.requireColon, options.issueKeys, options.encoding, options.encodingByExtension]);
+  if (!parsers.has(key)) parsers.set(key, new TodoParser(options.tags, options));
+  return parsers.get(key);
+}
+
+async function scanFile(file, options) {
+  try {
+    const stats = await fs.stat(file.filePath);
+    if (stats.mtimeMs === file.mtime && stats.size === file.size) {
+      return { filePath: file.filePath, status: 'unchanged' };
+    }
+    if (stats.size > options.maxFileSize) {
+      return { filePath: file.filePath, status: 'skipped' };
+    }
+    const suppressed = [];
+    const info = {};
+    const items = await parserFor(options).parseFile(file.filePath, suppressed, info);
+    return {
+      filePath: file.filePath, status: 'parsed', mtime: stats.mtimeMs, size: stats.size,
+      items, suppressed: suppressed.length, lines: info.lines
+    };
+  } catch (error) {
+    return { filePath: file.filePath, status: error.code === 'ENOENT' ? 'deleted' : 'failed' };
+  }
+}
+
+parentPort.on('message', async ({ id, files, options }) => {
+  const results = [];
+  for (let i = 0; i < files.length; i += CONCURRENCY) {
+    const batch = files.slice(i, i + CONCURRENCY);
+    results.push(...await Promise.all(batch.map(file => scanFile(file, options))));
+  }
+  parentPort.postMessage({ id, results });
+});
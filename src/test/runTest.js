@@ -1,3 +1,5 @@
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { runTests } = require('@vscode/test-electron');
 
@@ -11,8 +13,15 @@ async function main() {
         // Passed to --extensionTestsPath
         const extensionTestsPath = path.resolve(__dirname, './suite/index');
 
+        // An empty workspace folder the tests write their files into
+        const workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'code-todo-workspace-'));
+
         // Download VS Code, unzip it and run the integration test
-        await runTests({ extensionDevelopmentPath, extensionTestsPath });
+        try {
+            await runTests({ extensionDevelopmentPath, extensionTestsPath, launchArgs: [workspacePath] });
+        } finally {
+            fs.rmSync(workspacePath, { recursive: true, force: true });
+        }
     } catch (err) {
         console.error('Failed to run tests:', err);
         process.exit(1);
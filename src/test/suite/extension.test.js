@@ -1,6 +1,76 @@
 const assert = require('assert');
 const vscode = require('vscode');
 const path = require('path');
+const { CommentScanner } = require('../../comments');
+const { matchGlob } = require('../../glob');
+const { parseMetadata, isOverdue } = require('../../metadata');
+const { parsePorcelain, formatAge } = require('../../blame');
+const { collectReportItems, renderReport } = require('../../report');
+const { parseArgs, parseBudgets, scan, diffAgainstBaseline, checkBudgets, toBaseline } = require('../../cli');
+const { TagDecorations, resolveTagStyle, DEFAULT_TAG_STYLES } = require('../../decorations');
+const { TodoParser, SUPPORTED_EXT } = require('../../scanner');
+const { removalRange, markdownLink } = require('../../actions');
+const { parseDiff } = require('../../branchdiff');
+const { recordSnapshot, summarize } = require('../../dashboard');
+const { ScanPool } = require('../../scanpool');
+const { TodoCache } = require('../../cache');
+const { IgnoreRules, enabledGlobs } = require('../../ignore');
+const { TodoFileDecorations } = require('../../filebadges');
+const { CodeOwners, isOwner, parseCodeowners } = require('../../codeowners');
+const { IssueLinkProvider, compileIssueLinks, findIssueLinks, itemIssueLinks } = require('../../issuelinks');
+const { API_VERSION, TodoApi, normalizeTagParser } = require('../../api');
+const { LANGUAGE_IDS, languageEncodings } = require('../../encoding');
+const { TodoDiagnostics } = require('../../diagnostics');
+const { TodoTreeProvider } = require('../../provider');
+
+// Writes `files` (relative path to content) into the test workspace folder
+// and returns a tree provider with that folder once it has scanned them.
+// `beforeScan` runs between construction and the first scan.
+async function createTreeProvider(files, beforeScan = () => {}) {
+    const fs = require('fs');
+    const root = vscode.workspace.workspaceFolders[0].uri.fsPath;
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(root, ...relativePath.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+    const memento = () => {
+        const state = new Map();
+        return {
+            keys: () => [...state.keys()],
+            get: (key, fallback) => (state.has(key) ? state.get(key) : fallback),
+            update: async (key, value) => (value === undefined ? state.delete(key) : state.set(key, value)),
+        };
+    };
+    const storage = fs.mkdtempSync(path.join(require('os').tmpdir(), 'code-todo-storage-'));
+    const context = {
+        subscriptions: [],
+        workspaceState: memento(),
+        globalState: memento(),
+        storageUri: vscode.Uri.file(storage),
+    };
+    const provider = new TodoTreeProvider(context);
+    // Stands in for the view activate() creates, to read its description
+    provider.treeView = {};
+    beforeScan(provider);
+    await provider.ready;
+    provider.dispose = () => {
+        for (const disposable of context.subscriptions) disposable.dispose();
+        for (const entry of fs.readdirSync(root)) fs.rmSync(path.join(root, entry), { recursive: true, force: true });
+        fs.rmSync(storage, { recursive: true, force: true });
+    };
+    return { provider, root };
+}
+
+// The labels of the tree, children indented under their parent.
+async function treeLines(provider, nodes, indent = '') {
+    const lines = [];
+    for (const node of nodes || await provider.getChildren()) {
+        lines.push(indent + node.label + (node.contextValue === 'todo' && node.description.includes('  [') ? `  ${node.description.split('  [')[0]}` : ''));
+        if (node.collapsibleState) lines.push(...await treeLines(provider, await provider.getChildren(node), indent + '  '));
+    }
+    return lines;
+}
 
 suite('Extension Test Suite', () => {
     vscode.window.showInformationMessage('Starting all tests.');
@@ -63,4 +133,826 @@ suite('Extension Test Suite', () => {
             assert.ok(!shouldProcessFile(`test${ext}`), `Extension ${ext} should not be processed`);
         });
     });
-});
\ No newline at end of file
+
+    test('Tags are only matched inside comments', () => {
+        function commentText(fileName, source) {
+            const scanner = new CommentScanner(fileName);
+            return source.split('\n').map(line => scanner.scanLine(line).map(s => s.text));
+        }
+
+        // Identifiers and strings are not comments
+        assert.deepStrictEqual(commentText('a.js', 'const TODO = "NOTE: foo";'), [[]]);
+
+        // Line comments start after the delimiter
+        assert.deepStrictEqual(commentText('a.js', 'x(); // TODO: real'), [[' TODO: real']]);
+
+        // Block comments stop at the terminator and span lines
+        assert.deepStrictEqual(
+            commentText('a.js', '/* FIXME: a */ y();\n/*\n * BUG b\n */'),
+            [[' FIXME: a '], [], [' * BUG b'], [' ']]
+        );
+
+        // Hash comments ignore quoted strings
+        assert.deepStrictEqual(
+            commentText('a.py', 'x = "# no"\n# HACK yes'),
+            [[], [' HACK yes']]
+        );
+
+        // HTML comments
+        assert.deepStrictEqual(commentText('a.html', '<p>TODO</p><!-- TODO: y -->'), [[' TODO: y ']]);
+
+        // Quotes inside regular expression literals do not open strings
+        assert.deepStrictEqual(commentText('a.js', "s = s.replace(/'/g, ''); // TODO: x"), [[' TODO: x']]);
+        assert.deepStrictEqual(commentText('a.js', 'if (/"/.test(s)) {} // TODO: y'), [[' TODO: y']]);
+        assert.deepStrictEqual(commentText('a.js', "r = a / b; // TODO: z's"), [[" TODO: z's"]]);
+
+        // YAML quotes only open a string at the start of a value
+        assert.deepStrictEqual(commentText('a.yml', "title: Don't panic # TODO: fix"), [[' TODO: fix']]);
+        assert.deepStrictEqual(commentText('a.yml', "key: '# no' # TODO: yes"), [[' TODO: yes']]);
+
+        // Markdown only has HTML comments; plain text and unknown extensions are scanned whole
+        assert.deepStrictEqual(commentText('a.md', 'About a TODO list\n<!-- TODO: hidden -->'), [[], [' TODO: hidden ']]);
+        assert.deepStrictEqual(commentText('a.txt', '- TODO: write docs'), [['- TODO: write docs']]);
+        assert.deepStrictEqual(commentText('a.tf', 'x = "TODO: s"'), [['x = "TODO: s"']]);
+
+        // Script and style elements use the comment syntax of their content
+        assert.deepStrictEqual(commentText('a.html', '<p>// no</p><script>\n// TODO: js\n</script>\n<style>/* FIXME: css */</style>'),
+            [[], [' TODO: js'], [], [' FIXME: css ']]);
+
+        // An unquoted CSS url is not a line comment
+        assert.deepStrictEqual(commentText('a.scss', 'a { b: url(http://x.com/TODO); } // TODO: y'), [[' TODO: y']]);
+    });
+
+    test('Glob matching for include and exclude settings', () => {
+        assert.ok(matchGlob('packages/api/node_modules/x.js', '**/node_modules/**'));
+        assert.ok(matchGlob('src/a.ts', '**/*.{js,ts}'));
+        assert.ok(matchGlob('src\\nested\\a.js', 'src/**'));
+        assert.ok(!matchGlob('src/nested/a.js', 'src/*.js'));
+        assert.ok(!matchGlob('lib/a.tsx', '**/*.{js,ts}'));
+    });
+
+    test('TODO metadata extraction', () => {
+        assert.deepStrictEqual(parseMetadata('alice', 'fix this'), {
+            assignee: 'alice', priority: null, issue: null, due: null
+        });
+        assert.deepStrictEqual(parseMetadata(undefined, '#482 handle retries'), {
+            assignee: null, priority: null, issue: '#482', due: null
+        });
+        assert.deepStrictEqual(parseMetadata(undefined, '[P1] speed up the query'), {
+            assignee: null, priority: 'P1', issue: null, due: null
+        });
+        assert.deepStrictEqual(parseMetadata('2026-12-01', 'drop the legacy API'), {
+            assignee: null, priority: null, issue: null, due: '2026-12-01'
+        });
+        assert.strictEqual(parseMetadata('PROJ-12', 'split the module').issue, 'PROJ-12');
+        assert.strictEqual(parseMetadata(undefined, 'see PROJ-12 first', ['PROJ']).issue, 'PROJ-12');
+        assert.strictEqual(parseMetadata(undefined, 'see PROJ-12 first').issue, null);
+        for (const text of ['decode as UTF-8', 'dates are ISO-8601', 'hash with SHA-256', 'PROJ-12abc', 'PROJ-12-3']) {
+            assert.strictEqual(parseMetadata(undefined, text, ['PROJ']).issue, null, text);
+        }
+
+        assert.ok(isOverdue({ due: '2026-01-31' }, '2026-02-01'));
+        assert.ok(!isOverdue({ due: '2026-02-01' }, '2026-02-01'));
+        assert.ok(!isOverdue({ due: null }, '2026-02-01'));
+    });
+
+    test('Git blame porcelain parsing', () => {
+        const sha = 'a'.repeat(40);
+        const output = [
+            `${sha} 1 3 1`,
+            'author alice',
+            'author-time 1700000000',
+            'filename a.js',
+            '\t// TODO: first',
+            `${sha} 2 7 1`,
+            'filename a.js',
+            '\t// FIXME: second',
+            `${'0'.repeat(40)} 9 9 1`,
+            'author Not Committed Yet',
+            'author-time 1800000000',
+            'filename a.js',
+            '\t// BUG: third',
+            ''
+        ].join('\n');
+
+        const blame = parsePorcelain(output);
+        assert.strictEqual(blame.get(2).author, 'alice');
+        assert.strictEqual(blame.get(6).authorTime, 1700000000);
+        assert.strictEqual(blame.get(8).uncommitted, true);
+
+        const day = 24 * 60 * 60;
+        assert.strictEqual(formatAge(0, 420 * day), '14 months ago');
+        assert.strictEqual(formatAge(0, 3 * day), '3 days ago');
+    });
+
+    test('Report formats', () => {
+        const root = path.join(path.sep, 'repo');
+        const fileMap = new Map([
+            [path.join(root, 'src', 'b.js'), [{ tag: 'TODO', text: 'say "hi", later', line: 4, column: 3 }]],
+            [path.join(root, 'src', 'a.js'), [{ tag: 'BUG', text: 'crash', line: 0, column: 0 }]]
+        ]);
+        const rows = collectReportItems(fileMap, [{ name: 'repo', path: root }]);
+
+        assert.deepStrictEqual(rows.map(row => `${row.file}:${row.line}`), ['src/a.js:1', 'src/b.js:5']);
+        assert.strictEqual(
+            renderReport('csv', rows, ['BUG', 'TODO'], []).split('\r\n')[2],
+            'TODO,src/b.js,5,4,"say ""hi"", later",,,,,,'
+        );
+        assert.ok(renderReport('markdown', rows, ['BUG', 'TODO'], []).includes('### src\n\n- [ ] `a.js:1` crash'));
+
+        const special = collectReportItems(new Map([
+            [path.join(root, 'c.js'), [{ tag: 'TODO', text: 'a | b *not* _em_ <br> C:\\', line: 0, column: 0, assignee: 'snake_case' }]]
+        ]), [{ name: 'repo', path: root }]);
+        assert.ok(renderReport('markdown', special, ['TODO'], []).includes(
+            '- [ ] `c.js:1` a \\| b \\*not\\* \\_em\\_ \\<br\\> C:\\\\ _(@snake\\_case)_'
+        ));
+
+        const sarif = JSON.parse(renderReport('sarif', rows, ['BUG', 'TODO'], [{ name: 'repo', path: root }]));
+        assert.strictEqual(sarif.version, '2.1.0');
+        assert.strictEqual(sarif.runs[0].results[0].level, 'error');
+        assert.strictEqual(sarif.runs[0].results[1].locations[0].physicalLocation.artifactLocation.uri, 'src/b.js');
+
+        // Locations are URI references
+        const encoded = JSON.parse(renderReport('sarif', collectReportItems(new Map([
+            [path.join(root, 'my docs', 'a#1.js'), [{ tag: 'TODO', text: 'x', line: 0, column: 0 }]]
+        ]), [{ name: 'repo', path: root }]), ['TODO'], [{ name: 'repo', path: root }]));
+        assert.strictEqual(encoded.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, 'my%20docs/a%231.js');
+
+        // Folders with the same name, as the CLI scans them, keep apart
+        const roots = [{ name: 'src', path: path.join(root, 'a', 'src') }, { name: 'src', path: path.join(root, 'b', 'src') }];
+        const multi = JSON.parse(renderReport('sarif', collectReportItems(new Map([
+            [path.join(roots[0].path, 'x.js'), [{ tag: 'TODO', text: 'one', line: 0, column: 0 }]],
+            [path.join(roots[1].path, 'x.js'), [{ tag: 'TODO', text: 'two', line: 0, column: 0 }]],
+        ]), roots), ['TODO'], roots)).runs[0];
+        assert.deepStrictEqual(Object.keys(multi.originalUriBaseIds), ['src', 'src-2']);
+        assert.ok(multi.originalUriBaseIds['src-2'].uri.endsWith('/b/src/'));
+        assert.deepStrictEqual(multi.results.map(r => r.locations[0].physicalLocation.artifactLocation.uriBaseId), ['src', 'src-2']);
+    });
+
+    test('CLI budgets and baselines', async () => {
+        assert.deepStrictEqual(parseBudgets('BUG<=0, hack<=20'), [
+            { tag: 'BUG', max: 0 },
+            { tag: 'HACK', max: 20 }
+        ]);
+        assert.throws(() => parseBudgets('BUG<0'));
+
+        const rows = [
+            { tag: 'TODO', file: 'a.js', line: 9, text: 'moved' },
+            { tag: 'BUG', file: 'a.js', line: 3, text: 'new' }
+        ];
+        const baseline = { version: 1, items: [{ tag: 'TODO', file: 'a.js', line: 2, text: 'moved' }] };
+        assert.deepStrictEqual(diffAgainstBaseline(rows, baseline), [rows[1]]);
+        assert.deepStrictEqual(checkBudgets(rows, [{ tag: 'BUG', max: 0 }]), [{ tag: 'BUG', max: 0, count: 1 }]);
+
+        // Folders with the same name keep their TODOs apart in the baseline
+        const fs = require('fs');
+        const os = require('os');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-todo-'));
+        try {
+            const folders = ['a', 'b'].map(parent => path.join(dir, parent, 'src'));
+            for (const folder of folders) {
+                fs.mkdirSync(folder, { recursive: true });
+                fs.writeFileSync(path.join(folder, 'x.js'), '// TODO: same\n');
+            }
+            const scanned = await scan(parseArgs(folders));
+            assert.deepStrictEqual(scanned.rows.map(row => row.file), ['src/x.js', 'src-2/x.js']);
+            assert.deepStrictEqual(diffAgainstBaseline(scanned.rows, toBaseline(scanned.rows.slice(0, 1))), [scanned.rows[1]]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('Tag styles merge over the defaults', () => {
+        const style = resolveTagStyle('BUG', { BUG: { highlight: 'line', dark: { foreground: '#fff' } } });
+        assert.strictEqual(style.highlight, 'line');
+        assert.strictEqual(style.background, DEFAULT_TAG_STYLES.BUG.background);
+        assert.deepStrictEqual(style.dark, { foreground: '#fff' });
+
+        const custom = resolveTagStyle('SECURITY', {});
+        assert.strictEqual(custom.highlight, 'tag');
+        assert.ok(custom.background);
+    });
+
+    test('Tag regex escaping, case sensitivity and required colon', () => {
+        const tagsOf = (parser, content) => parser.parseContent(content, 'a.js').map(item => `${item.tag}|${item.text}`);
+
+        const custom = new TodoParser(['C++', 'TODO?', 'TODO']);
+        assert.deepStrictEqual(
+            tagsOf(custom, '// C++: port this\n// TODO? maybe\n// TODO: sure\n// CXX: no\n// todo: no'),
+            ['C++|port this', 'TODO?|maybe', 'TODO|sure']
+        );
+
+        const relaxed = new TodoParser(['TODO', 'FIXME'], { caseSensitive: false, requireColon: true });
+        assert.deepStrictEqual(
+            tagsOf(relaxed, '// todo: lower\n// FIXME no colon\n// Fixme(bob): assigned'),
+            ['TODO|lower', 'FIXME|assigned']
+        );
+    });
+
+    test('Mark done removal ranges and Markdown links', () => {
+        function resolve(fileName, source) {
+            const lines = source.split('\n');
+            const item = new TodoParser().parseContent(source, fileName)[0];
+            const range = removalRange(lines, item, fileName);
+            const offset = pos => lines.slice(0, pos.line).reduce((sum, line) => sum + line.length + 1, 0) + pos.character;
+            return source.slice(0, offset(range.start)) + source.slice(offset(range.end));
+        }
+
+        assert.strictEqual(resolve('a.js', 'a();\n// TODO: whole line\nb();'), 'a();\nb();');
+        assert.strictEqual(resolve('a.js', 'x(); // TODO: trailing'), 'x();');
+        assert.strictEqual(resolve('a.js', 'x(); /* FIXME: block */ y();'), 'x(); y();');
+        assert.strictEqual(resolve('a.js', '/**\n * TODO: in a doc comment\n * more\n */'), '/**\n * more\n */');
+        assert.strictEqual(resolve('a.js', '// see the docs. TODO: mid comment'), '// see the docs.');
+        assert.strictEqual(resolve('a.py', '# TODO: py\nx = 1'), 'x = 1');
+
+        assert.strictEqual(
+            markdownLink({ tag: 'TODO', text: 'fix [x]', line: 4 }, 'src/my file.js'),
+            '[TODO: fix \\[x\\]](src/my%20file.js#L5)'
+        );
+    });
+
+    test('Branch diff parsing', () => {
+        const output = [
+            'diff --git a/src/a.js b/src/a.js',
+            '--- a/src/a.js',
+            '+++ b/src/a.js',
+            '@@ -3,0 +4,2 @@ function a() {',
+            '+// TODO: new',
+            '+x();',
+            '@@ -10 +12 @@',
+            '-old',
+            '+new',
+            'diff --git a/gone.js b/gone.js',
+            '--- a/gone.js',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-// TODO: removed',
+        ].join('\n');
+        const files = parseDiff(output, path.join(path.sep, 'repo'));
+        assert.deepStrictEqual([...files.keys()], [path.join(path.sep, 'repo', 'src', 'a.js')]);
+        assert.deepStrictEqual([...files.get(path.join(path.sep, 'repo', 'src', 'a.js'))], [3, 4, 11]);
+    });
+
+    test('Dashboard history snapshots and rankings', () => {
+        let history = recordSnapshot([], { TODO: 3 }, '2026-10-01');
+        history = recordSnapshot(history, { TODO: 2, BUG: 1 }, '2026-10-08');
+        history = recordSnapshot(history, { TODO: 1 }, '2026-10-08');
+        assert.deepStrictEqual(history, [
+            { date: '2026-10-01', totals: { TODO: 3 } },
+            { date: '2026-10-08', totals: { TODO: 1 } },
+        ]);
+
+        const root = path.join(path.sep, 'ws');
+        const fileMap = new Map([
+            [path.join(root, 'src', 'a.js'), [{ tag: 'TODO', line: 0, authorTime: 200 }, { tag: 'BUG', line: 4, authorTime: 100 }]],
+            [path.join(root, 'src', 'b.js'), [{ tag: 'TODO', line: 1 }]],
+            [path.join(root, 'c.js'), [{ tag: 'NOTE', line: 2, authorTime: 300 }]],
+        ]);
+        const lineCounts = new Map([
+            [path.join(root, 'src', 'a.js'), 200],
+            [path.join(root, 'src', 'b.js'), 10],
+            [path.join(root, 'src', 'clean.js'), 90],
+            [path.join(root, 'c.js'), 50],
+        ]);
+        const summary = summarize(fileMap, [{ name: 'ws', path: root }], lineCounts);
+        // Ranked by TODOs per 100 lines, so the short b.js comes first; folders count files without TODOs too
+        assert.deepStrictEqual(summary.folders.map(f => [f.label, f.count, f.files, f.density]), [['.', 1, 1, 2], ['src', 3, 2, 1]]);
+        assert.deepStrictEqual(summary.files.map(f => [f.label, f.count, f.density]), [['src/b.js', 1, 10], ['c.js', 1, 2], ['src/a.js', 2, 1]]);
+        assert.deepStrictEqual(summary.oldest.map(o => o.item.tag), ['BUG', 'TODO', 'NOTE']);
+    });
+
+    test('Scan pool parses changed files on worker threads', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-todo-'));
+        const changed = path.join(dir, 'a.js');
+        const unchanged = path.join(dir, 'b.js');
+        fs.writeFileSync(changed, '// TODO: first\n// FIXME: second\n');
+        fs.writeFileSync(unchanged, '// TODO: cached\n');
+        const stats = fs.statSync(unchanged);
+
+        const results = [];
+        const completed = await new ScanPool(2).run([{
+            options: { tags: ['TODO', 'FIXME'], caseSensitive: true, requireColon: false, maxFileSize: 1024 },
+            files: [
+                { filePath: changed },
+                { filePath: unchanged, mtime: stats.mtimeMs, size: stats.size },
+                { filePath: path.join(dir, 'missing.js') },
+            ],
+        }], chunk => results.push(...chunk));
+        fs.rmSync(dir, { recursive: true, force: true });
+
+        assert.strictEqual(completed, true);
+        const byFile = new Map(results.map(r => [path.basename(r.filePath), r]));
+        assert.deepStrictEqual(byFile.get('a.js').items.map(i => [i.tag, i.text, i.line]), [['TODO', 'first', 0], ['FIXME', 'second', 1]]);
+        assert.strictEqual(byFile.get('b.js').status, 'unchanged');
+        assert.strictEqual(byFile.get('missing.js').status, 'deleted');
+
+        const pool = new ScanPool(1);
+        pool.dispose();
+        assert.strictEqual(await pool.run([{ options: {}, files: [{ filePath: changed }] }], () => {}), false);
+    });
+
+    test('Workspace cache shards, versions and size cap', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'code-todo-')), 'cache');
+        const item = { tag: 'TODO', text: 'cached', line: 0, column: 3 };
+
+        const cache = new TodoCache(dir, { version: 2 });
+        cache.set('/ws/a.js', { mtime: 10, size: 5, items: [item] });
+        cache.set('/ws/b.js', { mtime: 20, size: 5, items: [] });
+        await cache.save();
+
+        const same = new TodoCache(dir, { version: 2 });
+        assert.strictEqual(await same.load(), true);
+        assert.deepStrictEqual(same.get('/ws/a.js'), { mtime: 10, size: 5, items: [item] });
+
+        const upgraded = new TodoCache(dir, { version: 3 });
+        await upgraded.load();
+        assert.strictEqual(upgraded.get('/ws/a.js').mtime, null);
+        assert.deepStrictEqual(upgraded.get('/ws/a.js').items, [item]);
+
+        const capped = new TodoCache(dir, { version: 2, maxBytes: 200 });
+        for (let i = 0; i < 10; i++) {
+            capped.set(`/ws/file${i}.js`, { mtime: i, size: 1, items: [item] });
+        }
+        await capped.save();
+        assert.ok(capped.size < 10);
+        assert.ok(capped.has('/ws/file9.js'));
+        assert.ok(!capped.has('/ws/file0.js'));
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    });
+
+    test('Ignore rules follow gitignore semantics', () => {
+        const rules = new IgnoreRules({ globs: enabledGlobs({ '**/.turbo': true, '**/keep': false }) });
+        rules.setFile('.gitignore', '# generated\ngenerated/\n*.log\n!keep.log\n/build\nlib/*.js\n!lib/main.js\n');
+        rules.setFile('packages/a/.gitignore', 'storybook-static\n');
+        rules.setFile('.todoignore', '!generated/\nfixtures/\n');
+
+        const ignored = file => rules.ignores(file);
+        assert.strictEqual(ignored('generated/api.js'), false);
+        assert.strictEqual(ignored('debug.log'), true);
+        assert.strictEqual(ignored('keep.log'), false);
+        assert.strictEqual(ignored('build/app.js'), true);
+        assert.strictEqual(ignored('src/build/app.js'), false);
+        assert.strictEqual(ignored('lib/util.js'), true);
+        assert.strictEqual(ignored('lib/main.js'), false);
+        assert.strictEqual(ignored('packages/a/storybook-static/main.js'), true);
+        assert.strictEqual(ignored('packages/b/storybook-static/main.js'), false);
+        assert.strictEqual(ignored('src/.turbo/cache.js'), true);
+        assert.strictEqual(ignored('test/fixtures/sample.js'), true);
+        assert.strictEqual(ignored('keep/file.js'), false);
+
+        rules.fileNames = ['.todoignore'];
+        assert.strictEqual(ignored('debug.log'), false);
+        rules.deleteFile('.todoignore');
+        assert.strictEqual(ignored('test/fixtures/sample.js'), false);
+    });
+
+    test('Suppression directives', () => {
+        const parser = new TodoParser(['TODO', 'FIXME', 'BUG']);
+        const content = [
+            '// TODO: kept',
+            '// code-todo-ignore-next-line',
+            '// TODO: next line',
+            'call(); // FIXME: same line code-todo-ignore-line',
+            '/* code-todo-disable */',
+            '// BUG: in block',
+            '// code-todo-enable',
+            '// TODO: after block',
+            'const s = "code-todo-disable"; // TODO: not a comment directive',
+        ].join('\n');
+        const suppressed = [];
+        const items = parser.parseContent(content, 'test.js', suppressed);
+        assert.deepStrictEqual(items.map(i => i.text), ['kept', 'after block', 'not a comment directive']);
+        assert.deepStrictEqual(suppressed.map(i => i.line), [2, 3, 5]);
+
+        const whole = [];
+        assert.deepStrictEqual(parser.parseContent('// TODO: a\n// code-todo-disable-file\n// BUG: b', 'test.js', whole), []);
+        assert.strictEqual(whole.length, 2);
+    });
+
+    test('Continuation lines extend a TODO', () => {
+        const parser = new TodoParser(['TODO', 'FIXME']);
+        const items = parser.parseContent([
+            '// TODO: retry the request',
+            '//       with exponential backoff',
+            '// unrelated comment',
+            '/*',
+            ' * FIXME: parse the header',
+            ' *   before the body',
+            ' * @param input',
+            ' */',
+            '// TODO: first',
+            '//   FIXME: second',
+        ].join('\n'), 'test.js');
+        assert.deepStrictEqual(items.map(i => [i.tag, i.text, i.line, i.endLine]), [
+            ['TODO', 'retry the request with exponential backoff', 0, 1],
+            ['FIXME', 'parse the header before the body', 4, 5],
+            ['TODO', 'first', 8, 8],
+            ['FIXME', 'second', 9, 9],
+        ]);
+        assert.strictEqual(items[0].endColumn, 33);
+
+        const lines = ['// TODO: a', '//   b', 'code();'];
+        const [item] = parser.parseContent(lines.join('\n'), 'test.js');
+        assert.deepStrictEqual(removalRange(lines, item, 'test.js'),
+            { start: { line: 0, character: 0 }, end: { line: 2, character: 0 } });
+    });
+
+    test('Explorer badges count files and their folders', () => {
+        const root = path.join(path.sep, 'ws');
+        const file = path.join(root, 'src', 'a.js');
+        const config = { get: (key, fallback) => (key === 'fileDecorations.tags' ? ['BUG', 'FIXME'] : fallback) };
+        const badges = new TodoFileDecorations();
+        badges.loadConfig(config, ['BUG', 'FIXME', 'TODO'], [root]);
+        badges.reset(new Map([[file, [{ tag: 'TODO' }, { tag: 'FIXME' }]]]));
+
+        const badge = target => {
+            const decoration = badges.provideFileDecoration(vscode.Uri.file(target));
+            return decoration && decoration.badge;
+        };
+        assert.strictEqual(badge(file), '1');
+        assert.strictEqual(badge(path.join(root, 'src')), '1');
+        assert.strictEqual(badge(root), '1');
+
+        badges.update(file, [{ tag: 'TODO' }, { tag: 'FIXME' }], [{ tag: 'BUG' }, { tag: 'BUG' }, { tag: 'FIXME' }]);
+        assert.strictEqual(badge(root), '3');
+        assert.strictEqual(badges.provideFileDecoration(vscode.Uri.file(root)).tooltip, '3 TODOs (BUG: 2, FIXME: 1)');
+
+        badges.update(file, [{ tag: 'BUG' }, { tag: 'BUG' }, { tag: 'FIXME' }], []);
+        assert.strictEqual(badge(path.join(root, 'src')), undefined);
+
+        // Files of a nested workspace folder stop counting at that folder
+        const nested = path.join(root, 'packages', 'app');
+        badges.loadConfig(config, ['BUG', 'FIXME', 'TODO'], [root, nested]);
+        badges.reset(new Map([[path.join(nested, 'b.js'), [{ tag: 'BUG' }]]]));
+        assert.strictEqual(badge(nested), '1');
+        assert.strictEqual(badge(path.join(root, 'packages')), undefined);
+        assert.strictEqual(badge(root), undefined);
+        badges.dispose();
+    });
+
+    test('CODEOWNERS rules resolve owners with last match wins', () => {
+        const owners = new CodeOwners(parseCodeowners([
+            '# default owners',
+            '*       @org/platform',
+            '*.js    @js-owner  # inline comment',
+            '/build/logs/ @doctocat',
+            'docs/*  docs@example.com',
+            'apps/   @octocat',
+            '/apps/github',
+        ].join('\n')));
+
+        assert.deepStrictEqual(owners.ownersOf('README.md'), ['@org/platform']);
+        assert.deepStrictEqual(owners.ownersOf(path.join('src', 'index.js')), ['@js-owner']);
+        assert.deepStrictEqual(owners.ownersOf('build/logs/2024/out.txt'), ['@doctocat']);
+        assert.deepStrictEqual(owners.ownersOf('docs/intro.md'), ['docs@example.com']);
+        assert.deepStrictEqual(owners.ownersOf('docs/guides/setup.md'), ['@org/platform']);
+        assert.deepStrictEqual(owners.ownersOf('services/apps/main.py'), ['@octocat']);
+        assert.deepStrictEqual(owners.ownersOf('apps/github/app.py'), []);
+
+        assert.ok(isOwner(['@Org/Platform'], 'org/platform'));
+        assert.ok(isOwner(['docs@example.com'], 'docs@example.com'));
+        assert.ok(!isOwner(['@octocat'], ''));
+    });
+
+    test('Issue references become links from URL templates', async () => {
+        const patterns = compileIssueLinks({
+            '#(\\d+)': 'https://github.com/acme/app/issues/$1',
+            'GH-(\\d+)': 'https://github.com/acme/app/issues/$1',
+            '[A-Z][A-Z0-9]+-(\\d+)': 'https://jira.example.com/browse/$0',
+            '(': 'https://invalid.example.com',
+        });
+        assert.strictEqual(patterns.length, 3);
+
+        const links = findIssueLinks('fix #123, PROJ-991 and GH-78 (not abc#4 or XPROJ-1x)', patterns);
+        assert.deepStrictEqual(links.map(link => [link.reference, link.url]), [
+            ['#123', 'https://github.com/acme/app/issues/123'],
+            ['PROJ-991', 'https://jira.example.com/browse/PROJ-991'],
+            ['GH-78', 'https://github.com/acme/app/issues/78'],
+        ]);
+
+        const lines = ['// see #1', '// TODO: retry PROJ-7', '//   and #2'];
+        const document = { lineCount: lines.length, lineAt: line => ({ text: lines[line] }) };
+        const item = { line: 1, column: 3, endLine: 2, endColumn: lines[2].length };
+        const ranges = itemIssueLinks(document, item, patterns)
+            .map(link => [link.reference, link.range.start.line, link.range.start.character]);
+        assert.deepStrictEqual(ranges, [['PROJ-7', 1, 15], ['#2', 2, 9]]);
+
+        // Links are parsed once per document version and hovers are escaped
+        const config = vscode.workspace.getConfiguration('codeTODO');
+        await config.update('issueLinks', { 'PROJ-(\\d+)': 'https://example.com/a b)/$1' }, vscode.ConfigurationTarget.Workspace);
+        try {
+            let parses = 0;
+            const provider = new IssueLinkProvider(() => {
+                parses++;
+                return [{ tag: 'TODO', text: 'retry PROJ-7', line: 1, column: 3 }];
+            });
+            const root = vscode.workspace.workspaceFolders[0].uri.fsPath;
+            const saved = { ...document, uri: vscode.Uri.file(path.join(root, 'a.js')), version: 1 };
+            assert.strictEqual(provider.provideDocumentLinks(saved).length, 1);
+            const hover = provider.provideHover(saved, new vscode.Position(1, 17));
+            assert.ok(hover.contents.value.endsWith('](https://example.com/a%20b%29/7)'));
+            assert.ok(!/\[Open PROJ-7\]/.test(hover.contents.value));
+            assert.strictEqual(parses, 1);
+            saved.version++;
+            provider.provideDocumentLinks(saved);
+            assert.strictEqual(parses, 2);
+            assert.deepStrictEqual(provider.provideDocumentLinks({ ...saved, uri: vscode.Uri.parse('untitled:a') }), []);
+
+            await config.update('issueLinks', undefined, vscode.ConfigurationTarget.Workspace);
+            assert.deepStrictEqual(provider.provideDocumentLinks(saved), []);
+        } finally {
+            await config.update('issueLinks', undefined, vscode.ConfigurationTarget.Workspace);
+        }
+    });
+
+    test('Public API reports TODOs and per-file deltas', async () => {
+        const todo = (tag, text, line) => ({ tag, text, line, column: 3, endLine: line, endColumn: 20 });
+        const fileA = path.resolve('/ws/src/a.js');
+        const fileB = path.resolve('/ws/lib/b.js');
+        const provider = {
+            fileMap: new Map([[fileA, [todo('TODO', 'one', 1), todo('BUG', 'two', 4)]], [fileB, [todo('TODO', 'three', 0)]]]),
+            totalTodos: 3,
+            totalsByTag: { TODO: 2, BUG: 1 },
+            _itemsChanged: (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+        };
+        const todoApi = new TodoApi(provider);
+        const api = todoApi.getAPI(API_VERSION);
+        assert.throws(() => todoApi.getAPI(API_VERSION + 1));
+        assert.throws(() => api.registerTagParser({ id: 'x' }), TypeError);
+
+        assert.deepStrictEqual(api.getTotals(), { total: 3, byTag: { TODO: 2, BUG: 1 } });
+        assert.deepStrictEqual(api.getTodos({ tags: ['TODO'] }).map(t => t.text), ['three', 'one']);
+        assert.deepStrictEqual(api.getTodos({ uri: vscode.Uri.file(path.resolve('/ws/src')) }).map(t => t.text), ['one', 'two']);
+        assert.ok(Object.isFrozen(api.getTodos()[0]));
+
+        const events = [];
+        api.onDidChangeTodos(event => events.push(event));
+        todoApi.changed();
+        await new Promise(resolve => setTimeout(resolve, 80));
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].changes.length, 2);
+
+        provider.fileMap.set(fileA, [todo('TODO', 'one', 2), todo('FIXME', 'new', 5)]);
+        provider.fileMap.delete(fileB);
+        todoApi.changed(fileA);
+        todoApi.changed(fileB);
+        await new Promise(resolve => setTimeout(resolve, 80));
+        const changes = events[1].changes.map(change =>
+            [change.uri.fsPath, change.todos.length, change.added.map(t => t.text), change.removed.map(t => t.text)]);
+        assert.deepStrictEqual(changes, [[fileA, 2, ['new'], ['two']], [fileB, 0, [], ['three']]]);
+
+        // Blame fills in authors without changing the items
+        provider.fileMap.get(fileA)[0].author = 'alice';
+        todoApi.changed(fileA);
+        todoApi.changed(fileA, true);
+        await new Promise(resolve => setTimeout(resolve, 80));
+        assert.strictEqual(events.length, 3);
+        assert.deepStrictEqual(events[2].changes.map(change => [change.todos[0].author, change.added.length]), [['alice', 0]]);
+        todoApi.dispose();
+    });
+
+    test('Files are decoded by BOM and encoding, with any line ending', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-todo-'));
+        const write = (name, bytes) => {
+            fs.writeFileSync(path.join(dir, name), bytes);
+            return path.join(dir, name);
+        };
+        const utf16be = text => Buffer.from(text, 'utf16le').swap16();
+        const files = {
+            bom: write('bom.js', Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('// TODO: café\r\n')])),
+            utf16: write('utf16.js', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('x;\r\n// FIXME: naïve\r\n', 'utf16le')])),
+            utf16be: write('utf16be.js', Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be('// TODO: big\n')])),
+            utf16NoBom: write('nobom.js', Buffer.from('// TODO: guessed\n', 'utf16le')),
+            latin1: write('latin1.py', Buffer.from('# TODO: façade\r# NOTE: old mac\r', 'latin1')),
+            binary: write('data.js', Buffer.from([0x2F, 0x2F, 0x20, 0x54, 0x4F, 0x44, 0x4F, 0x00, 0x01])),
+        };
+
+        const parser = new TodoParser(['TODO', 'FIXME', 'NOTE'], { encodingByExtension: { py: 'iso88591' } });
+        const parse = async file => (await parser.parseFile(file)).map(i => [i.tag, i.text, i.line, i.column]);
+        try {
+            assert.deepStrictEqual(await parse(files.bom), [['TODO', 'café', 0, 3]]);
+            assert.deepStrictEqual(await parse(files.utf16), [['FIXME', 'naïve', 1, 3]]);
+            assert.deepStrictEqual(await parse(files.utf16be), [['TODO', 'big', 0, 3]]);
+            assert.deepStrictEqual(await parse(files.utf16NoBom), [['TODO', 'guessed', 0, 3]]);
+            assert.deepStrictEqual(await parse(files.latin1), [['TODO', 'façade', 0, 2], ['NOTE', 'old mac', 1, 2]]);
+            assert.deepStrictEqual(await parse(files.binary), []);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        const crlf = parser.parseContent('\uFEFF// TODO: one\r\n// FIXME: two\r\n', 'a.js');
+        assert.deepStrictEqual(crlf.map(i => [i.text, i.line, i.column]), [['one', 0, 3], ['two', 1, 3]]);
+        assert.deepStrictEqual(languageEncodings('utf8', id => (id === 'python' ? 'windows1252' : undefined)), { py: 'windows1252' });
+
+        // Every scanned extension can take a language override
+        assert.deepStrictEqual(SUPPORTED_EXT.slice(1, -1).split(',').filter(ext => !LANGUAGE_IDS[ext]), []);
+    });
+
+    test('Diagnostics map tags to severities within their scope', () => {
+        const settings = { 'diagnostics.enabled': true, 'diagnostics.scope': 'openFiles', 'diagnostics.severity': { TODO: 'warning', NOTE: 'none' } };
+        const config = { get: (key, fallback) => (key in settings ? settings[key] : fallback) };
+        const diagnostics = new TodoDiagnostics();
+        diagnostics.loadConfig(config);
+
+        const open = path.join(path.sep, 'repo', 'open.js');
+        const closed = path.join(path.sep, 'repo', 'closed.js');
+        const items = [
+            { tag: 'BUG', text: 'crash', line: 0, column: 3 },
+            { tag: 'TODO', text: 'later', line: 1, column: 3 },
+            { tag: 'NOTE', text: 'hidden', line: 2, column: 3 }
+        ];
+        const published = filePath => diagnostics.collection.get(vscode.Uri.file(filePath)) || [];
+
+        diagnostics.didOpen(open, items);
+        diagnostics.update(closed, items);
+        assert.deepStrictEqual(
+            published(open).map(d => [d.message, d.severity]),
+            [['BUG: crash', vscode.DiagnosticSeverity.Error], ['TODO: later', vscode.DiagnosticSeverity.Warning]]
+        );
+        assert.strictEqual(published(open)[0].range.end.character, 6);
+        assert.strictEqual(published(closed).length, 0);
+
+        diagnostics.didClose(open);
+        assert.strictEqual(published(open).length, 0);
+
+        settings['diagnostics.scope'] = 'workspace';
+        diagnostics.loadConfig(config);
+        diagnostics.refreshAll(new Map([[open, items], [closed, items]]));
+        assert.strictEqual(published(open).length, 2);
+        assert.strictEqual(published(closed).length, 2);
+        diagnostics.dispose();
+    });
+
+    test('Decoration types are only recreated when a tag style changes', () => {
+        const decorations = new TagDecorations({});
+        assert.strictEqual(decorations.load(['TODO', 'BUG'], {}), true);
+        const todoType = decorations.types.get('TODO');
+        const bugType = decorations.types.get('BUG');
+
+        assert.strictEqual(decorations.load(['TODO', 'BUG'], {}), false);
+        assert.strictEqual(decorations.types.get('TODO'), todoType);
+
+        assert.strictEqual(decorations.load(['TODO', 'BUG'], { TODO: { foreground: '#ff0000' } }), true);
+        assert.notStrictEqual(decorations.types.get('TODO'), todoType);
+        assert.strictEqual(decorations.types.get('BUG'), bugType);
+
+        assert.strictEqual(decorations.load(['TODO'], { TODO: { foreground: '#ff0000' } }), true);
+        assert.deepStrictEqual([...decorations.types.keys()], ['TODO']);
+        decorations.dispose();
+    });
+
+    test('View modes lay out the tree as flat, current file and compacted folders', async () => {
+        const { provider, root } = await createTreeProvider({
+            'src/lib/a.js': '// TODO: first\nx();\n// BUG: crash\n',
+            'src/lib/b.js': '// FIXME: second\n',
+            'c.py': '# TODO: top level\n',
+        });
+        try {
+            provider.setViewMode('folder');
+            assert.deepStrictEqual(await treeLines(provider), [
+                'src/lib (3)',
+                '  a.js (2)',
+                '    first',
+                '    crash',
+                '  b.js (1)',
+                '    second',
+                'c.py (1)',
+                '  top level',
+            ]);
+
+            provider.setViewMode('flat');
+            assert.deepStrictEqual(await treeLines(provider), [
+                'top level  c.py',
+                'first  src/lib/a.js',
+                'crash  src/lib/a.js',
+                'second  src/lib/b.js',
+            ]);
+
+            await vscode.window.showTextDocument(vscode.Uri.file(path.join(root, 'src', 'lib', 'a.js')));
+            provider.setViewMode('currentFile');
+            assert.deepStrictEqual(await treeLines(provider), ['first', 'crash']);
+        } finally {
+            provider.dispose();
+        }
+    });
+
+    test('Text, tag and path filters combine and the counts follow them', async () => {
+        const { provider } = await createTreeProvider({
+            'src/auth/login.js': '// TODO: check password\n// FIXME: login timeout\n',
+            'src/ui/view.js': '// TODO: login button\n// BUG: layout\n',
+            'docs.py': '# TODO: write docs\n',
+        });
+        const labels = async () => (await provider.getChildren()).map(node => node.label);
+        try {
+            provider.setViewMode('tag');
+            assert.deepStrictEqual(await labels(), ['BUG (1)', 'FIXME (1)', 'TODO (3)']);
+
+            // The text matches login.js by path and view.js by item text
+            provider.setTextFilter('login');
+            assert.deepStrictEqual(await labels(), ['FIXME (1)', 'TODO (2)']);
+
+            provider.setHiddenTags(['FIXME']);
+            assert.deepStrictEqual(await labels(), ['TODO (2)']);
+
+            provider.setPathFilter('src/ui');
+            assert.deepStrictEqual(await labels(), ['TODO (1)']);
+            assert.strictEqual(provider.treeView.description, '"login" · hiding FIXME · in src/ui');
+
+            provider.setViewMode('folder');
+            provider.setPathFilter('');
+            assert.deepStrictEqual(await treeLines(provider), [
+                'src (2)',
+                '  auth (1)',
+                '    login.js (1)',
+                '      check password',
+                '  ui (1)',
+                '    view.js (1)',
+                '      login button',
+            ]);
+
+            provider.clearFilters();
+            assert.strictEqual(provider.treeView.description, undefined);
+            assert.deepStrictEqual(await labels(), ['src (4)', 'docs.py (1)']);
+        } finally {
+            provider.dispose();
+        }
+    });
+
+    test('Next and previous TODO follow the tree and wrap around', async () => {
+        const { provider, root } = await createTreeProvider({
+            'src/lib/a.js': '// TODO: first\nx();\n// BUG: crash\n',
+            'src/lib/b.js': '// FIXME: second\n',
+            'c.py': '# TODO: top level\n',
+        });
+        const open = (file, line) => vscode.window.showTextDocument(vscode.Uri.file(path.join(root, ...file.split('/'))), {
+            selection: new vscode.Range(line, 0, line, 0),
+        });
+        const moves = async (...directions) => {
+            const visited = [];
+            for (const direction of directions) {
+                await provider.goToAdjacent(direction);
+                const editor = vscode.window.activeTextEditor;
+                visited.push(`${path.relative(root, editor.document.uri.fsPath).split(path.sep).join('/')}:${editor.selection.active.line}`);
+            }
+            return visited;
+        };
+        try {
+            // Folders come before files, so c.py is last
+            provider.setViewMode('folder');
+            await open('src/lib/a.js', 1);
+            assert.deepStrictEqual(await moves(1, 1, 1, 1, -1), ['src/lib/a.js:2', 'src/lib/b.js:0', 'c.py:0', 'src/lib/a.js:0', 'c.py:0']);
+            await open('src/lib/a.js', 1);
+            assert.deepStrictEqual(await moves(-1), ['src/lib/a.js:0']);
+
+            // Grouped by tag, the TODOs of both files follow each other
+            provider.setViewMode('tag');
+            await open('src/lib/a.js', 0);
+            assert.deepStrictEqual(await moves(1, 1, -1), ['c.py:0', 'src/lib/a.js:2', 'c.py:0']);
+
+            // The current file view falls back to workspace order across files
+            provider.setViewMode('currentFile');
+            await open('src/lib/a.js', 2);
+            assert.deepStrictEqual(await moves(1, 1, -1), ['src/lib/b.js:0', 'c.py:0', 'src/lib/b.js:0']);
+        } finally {
+            provider.dispose();
+        }
+    });
+
+    test('Tag parsers only run on files they have not seen', async () => {
+        let runs = 0;
+        let registration;
+        const { provider, root } = await createTreeProvider({ 'a.js': '// TODO: built in\n// @deprecated use b\n' }, provider => {
+            registration = provider.registerTagParser(normalizeTagParser({
+                id: 'deprecated',
+                include: ['**/*.js'],
+                parse: content => {
+                    runs++;
+                    return content.split('\n').flatMap((line, index) =>
+                        (line.includes('@deprecated') ? [{ tag: 'DEPRECATED', text: 'use b', line: index }] : []));
+                },
+            }));
+        });
+        const filePath = path.join(root, 'a.js');
+        const api = provider.api.getAPI(API_VERSION);
+        try {
+            assert.deepStrictEqual(api.getTodos().map(todo => [todo.tag, todo.source]), [['TODO', undefined], ['DEPRECATED', 'deprecated']]);
+            assert.deepStrictEqual(provider.cache.get(filePath).tagParsers, ['deprecated']);
+
+            await api.rescan();
+            assert.strictEqual(runs, 1);
+
+            // Items of a parser that is gone stay cached but are not shown
+            registration.dispose();
+            assert.deepStrictEqual(api.getTodos().map(todo => todo.tag), ['TODO']);
+            assert.deepStrictEqual(provider.cache.get(filePath).items.map(item => item.tag), ['TODO', 'DEPRECATED']);
+        } finally {
+            provider.dispose();
+        }
+    });
+});
@@ -2,14 +2,20 @@ const path = require('path');
 
 module.exports = {
     target: 'node',
-    entry: './src/extension.js',
+    entry: {
+        extension: './src/extension.js',
+        scanworker: './src/scanworker.js'
+    },
     output: {
         path: path.resolve(__dirname, 'out'),
-        filename: 'extension.js',
+        filename: '[name].js',
         libraryTarget: 'commonjs2',
         devtoolModuleFilenameTemplate: '../[resource-path]'
     },
     devtool: 'source-map',
+    node: {
+        __dirname: false
+    },
     externals: {
         vscode: 'commonjs vscode'
     },